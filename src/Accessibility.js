@@ -0,0 +1,171 @@
+/**
+ * Visually hidden elements that make the globe usable with a screen reader: a description
+ * of the keyboard controls, a live region that announces the view and a table of the
+ * highlighted countries and their data.
+ */
+export default class Accessibility {
+    /**
+     * @param {Object} document
+     * @param {DOM}    holder
+     * @param {Object} settings
+     * @param {String} id       Unique prefix for the ids of the elements.
+     */
+    constructor(document, holder, settings, id) {
+        /**
+         * @type {Object}
+         */
+        this.document = document;
+
+        /**
+         * @type {Object}
+         */
+        this.settings = settings;
+
+        /**
+         * @type {DOM}
+         */
+        this.element = this.createElement('div', 'hidden');
+
+        // Hidden from sight but not from screen readers, unlike display: none.
+        const style = this.element.style;
+        style.position = 'absolute';
+        style.width = '1px';
+        style.height = '1px';
+        style.margin = '-1px';
+        style.padding = '0';
+        style.border = '0';
+        style.overflow = 'hidden';
+        style.clip = 'rect(0 0 0 0)';
+        style.whiteSpace = 'nowrap';
+
+        /**
+         * Referenced by the canvas with aria-describedby.
+         *
+         * @type {DOM}
+         */
+        this.instructions = this.createElement('p', 'instructions');
+        this.instructions.id = id + '-instructions';
+        this.instructions.textContent = settings.instructions;
+        this.element.appendChild(this.instructions);
+
+        /**
+         * @type {DOM}
+         */
+        this.liveRegion = this.createElement('div', 'live');
+        this.liveRegion.setAttribute('role', 'status');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.element.appendChild(this.liveRegion);
+
+        /**
+         * @type {DOM|null}
+         */
+        this.table = null;
+
+        holder.appendChild(this.element);
+    }
+
+    /**
+     * @param {String} message
+     */
+    announce(message) {
+        // Screen readers don't repeat a message that did not change anyway.
+        if (this.liveRegion.textContent !== message) {
+            this.liveRegion.textContent = message;
+        }
+    }
+
+    /**
+     * Replace the table of highlighted countries.
+     *
+     * @param {Array.<Object>} rows [{ name, value }, ...], the value is undefined without data.
+     */
+    updateTable(rows) {
+        if (this.settings.table !== true) {
+            return;
+        }
+
+        if (this.table !== null) {
+            this.element.removeChild(this.table);
+        }
+
+        const table = this.createElement('table', 'table');
+        const caption = this.document.createElement('caption');
+        caption.textContent = this.settings.caption;
+        table.appendChild(caption);
+
+        const head = this.document.createElement('thead');
+        head.appendChild(this.createRow('th', [this.settings.nameHeader, this.settings.valueHeader]));
+        table.appendChild(head);
+
+        const body = this.document.createElement('tbody');
+
+        for (let i = 0; i < rows.length; i++) {
+            body.appendChild(this.createRow('td', [rows[i].name, this.format(rows[i].value)]));
+        }
+
+        table.appendChild(body);
+
+        this.table = table;
+        this.element.appendChild(table);
+    }
+
+    /**
+     * @param  {String}         cellName th or td.
+     * @param  {Array.<String>} texts
+     * @return {DOM}
+     */
+    createRow(cellName, texts) {
+        const row = this.document.createElement('tr');
+
+        for (let i = 0; i < texts.length; i++) {
+            const cell = this.document.createElement(cellName);
+            cell.textContent = texts[i];
+
+            if (cellName === 'th') {
+                cell.setAttribute('scope', 'col');
+            }
+
+            row.appendChild(cell);
+        }
+
+        return row;
+    }
+
+    /**
+     * @param  {*}      value
+     * @return {String}
+     */
+    format(value) {
+        if (value === undefined || value === null) {
+            return this.settings.noDataLabel;
+        }
+
+        if (typeof this.settings.format === 'function') {
+            return this.settings.format(value);
+        }
+
+        return typeof value === 'number' ? value.toLocaleString() : String(value);
+    }
+
+    /**
+     * @param  {String} tagName
+     * @param  {String} name
+     * @return {DOM}
+     */
+    createElement(tagName, name) {
+        const element = this.document.createElement(tagName);
+        element.className = this.settings.className + '-' + name;
+
+        return element;
+    }
+
+    /**
+     * Remove the elements from the DOM.
+     */
+    destroy() {
+        if (this.element.parentNode !== null) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Event handling shared by the globe and its tours.
+ */
+export default class EventEmitter {
+    constructor() {
+        /**
+         * Event handlers by event type.
+         *
+         * @type {Object.<Array.<Function>>}
+         */
+        this.eventHandlers = {};
+    }
+
+    /**
+     * Register an event handler.
+     *
+     * @param  {String}       type
+     * @param  {Function}     handler
+     * @return {EventEmitter}
+     */
+    on(type, handler) {
+        if (this.eventHandlers[type] === undefined) {
+            this.eventHandlers[type] = [];
+        }
+
+        this.eventHandlers[type].push(handler);
+
+        return this;
+    }
+
+    /**
+     * Remove an event handler, or all handlers of the type when none is given.
+     *
+     * @param  {String}             type
+     * @param  {Function|undefined} handler optional
+     * @return {EventEmitter}
+     */
+    off(type, handler) {
+        if (this.eventHandlers[type] !== undefined) {
+            if (handler === undefined) {
+                delete this.eventHandlers[type];
+            } else {
+                this.eventHandlers[type] = this.eventHandlers[type].filter(fn => fn !== handler);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {String} type
+     * @param {Object} payload
+     */
+    emit(type, payload) {
+        const handlers = this.eventHandlers[type];
+
+        if (handlers !== undefined) {
+            // Copy so handlers can remove themselves while we loop.
+            const list = handlers.slice();
+
+            for (let i = 0; i < list.length; i++) {
+                list[i].call(this, payload);
+            }
+        }
+    }
+}
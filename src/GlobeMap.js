@@ -1,34 +1,87 @@
 import {
+    geoArea,
     geoCentroid,
+    geoContains,
+    geoDistance,
+    geoGraticule,
     geoInterpolate,
     geoOrthographic,
-    geoPath
+    geoPath,
+    geoRotation
 } from '../node_modules/d3-geo/dist/d3-geo.min';
-import { transition } from '../node_modules/d3-transition/dist/d3-transition.min';
+import { interrupt, transition } from '../node_modules/d3-transition/dist/d3-transition.min';
 import { interpolate } from '../node_modules/d3-interpolate/dist/d3-interpolate.min';
 import { select } from '../node_modules/d3-selection/dist/d3-selection.min';
-import * as topojson from '../node_modules/topojson-client/dist/topojson-client.min';
-import _merge from '../node_modules/lodash/merge';
+import _mergeWith from '../node_modules/lodash/mergeWith';
 import { debounce } from '../node_modules/debounce/index';
 
-// From https://github.com/alexabruck/worldmap-sensitive
-import WORLD_ATLAS from './world2-topo.json';
-import REGION_COUNTRY_MAP from './regionCountryMap.json';
+// UN M49 regions and subregions plus a few common editorial groupings.
+import REGIONS from './regions.json';
+import COUNTRY_CODES from './countryCodes.json';
+import COUNTRY_ALIASES from './countryAliases.json';
+
+import createColorScale from './colorScale';
+import loadDefaultGeodata from './defaultGeodata';
+import readGeodata from './readGeodata';
+import simplifyGeodata from './simplifyGeodata';
+import Legend from './Legend';
+import Tooltip from './Tooltip';
+import Accessibility from './Accessibility';
+import Tour from './Tour';
+import EventEmitter from './EventEmitter';
+import fitGeoJson from './fitGeoJson';
+import labelPoint from './labelPoint';
+import { escapeXml, svgElement, svgLine } from './svg';
+
+/**
+ * Used to give every instance its own transition name so
+ * interrupting one globe does not stop the others on the page.
+ *
+ * @type {Number}
+ */
+let instanceCounter = 0;
+
+/**
+ * Deep merge settings into the first object. Arrays, like the lists of
+ * highlighted countries, replace the current value instead of being
+ * merged by index.
+ *
+ * @param  {...Object} sources
+ * @return {Object}    The first object.
+ */
+function mergeSettings(...sources) {
+    return _mergeWith(...sources, (value, sourceValue, key) => {
+        // Geodata can be large and a canvas context has to stay the
+        // object it is, so we use them as is instead of copying them.
+        if (key === 'source' || key === 'context') {
+            return sourceValue;
+        }
+
+        return Array.isArray(sourceValue) ? sourceValue.slice() : undefined;
+    });
+}
 
 /**
  * All names of regions/countries internally are used in lowercase.
+ *
+ * Events: countryclick, countryhover, countryleave, markerclick, markerhover,
+ * markerleave, transitionstart, transitionend and viewchange, see on().
  */
-export default class GlobeMap {
+export default class GlobeMap extends EventEmitter {
     constructor(document, customSettings) {
+        super();
+
         /**
          * @type {Object}
          */
         this.document = document;
 
         /**
-         * @type {DOM}
+         * Null for headless globes, which are constructed without a document.
+         *
+         * @type {DOM|null}
          */
-        this.holder = document.querySelector(customSettings.holderSelector);
+        this.holder = document ? document.querySelector(customSettings.holderSelector) : null;
 
         /**
          * Will be merged with custom settings.
@@ -41,6 +94,100 @@ export default class GlobeMap {
 
             highlightColor: '#F90',
 
+            // Receives every country feature and the data bound to it and returns
+            // a style like { fill, fillOpacity, pattern, stroke, strokeWidth, strokeDash }
+            // or null. Highlights can have the same style objects instead of a color.
+            style: null,
+
+            // Defaults of the pattern of a style, which is 'hatch', 'crosshatch',
+            // 'dots' or an object with a type and any of these.
+            patterns: {
+                color: 'rgba(0, 0, 0, 0.4)',
+
+                // Fill behind the lines or dots, null keeps it transparent.
+                background: null,
+
+                // Pixels between the lines or dots.
+                spacing: 6,
+
+                lineWidth: 1,
+                radius: 1.5
+            },
+
+            // Countries outside of setFocus() are covered with this fill to dim them.
+            focus: {
+                dimFillStyle: 'rgba(255, 255, 255, 0.65)'
+            },
+
+            // Pixels of the canvas per CSS pixel, null follows the devicePixelRatio
+            // of the screen so the globe stays sharp on high density screens.
+            pixelRatio: null,
+
+            // Draw without a page, for example to create images or snapshot tests in Node.
+            headless: {
+                // Any object with the methods of a CanvasRenderingContext2D, like the context
+                // of a node-canvas or one that records the calls. Null draws on a canvas that
+                // is added to the holder.
+                context: null,
+
+                // Size of the globe in pixels. The canvas of the context should be
+                // this size times the pixel ratio, which defaults to 1 when headless.
+                width: 800,
+                height: 600,
+
+                // Function of (width, height) that returns a new canvas, to cache the layers
+                // and for toPNG(). Without it the layers are drawn every time.
+                createCanvas: null,
+
+                // Function like window.fetch to load geodata from an url without a page.
+                fetch: null
+            },
+
+            // Boundaries of the countries.
+            geodata: {
+                // TopoJSON topology, GeoJSON or the url of either.
+                // Null uses the world atlas that comes with the library.
+                source: null,
+
+                // Name of the object in a topology, null uses the first one.
+                object: null,
+
+                // Functions that receive a feature and return its unique id and its
+                // name. Default to the id and name properties of the feature.
+                id: null,
+                name: null
+            },
+
+            // Subdivisions of countries, like states, added with addSubdivisions().
+            subdivisions: {
+                // Zoom level from which the subdivisions are drawn and hovered.
+                minZoom: 4,
+
+                strokeStyle: 'rgba(255, 255, 255, 0.6)',
+                strokeWidth: 0.5
+            },
+
+            performance: {
+                // Draw the layers that only change with the projection once and reuse
+                // them until it changes, for example while hovering and highlighting.
+                cacheLayers: true,
+
+                // Degrees, the countries are drawn with less detail while the camera
+                // moves. 0 always draws the full detail.
+                simplifyTolerance: 0.5,
+
+                // Pixels, when zoomed in so far that the simplified countries are off by
+                // more than this we keep drawing the full detail.
+                maxSimplifiedError: 3,
+
+                // Milliseconds without movement before we draw the full detail again.
+                settleDelay: 150
+            },
+
+            // Called with { code, message, ... } when something could not be
+            // done, for example an unknown country. Defaults to console.warn.
+            onWarning: null,
+
             land: {
                 fillStyle: '#CCC',
                 strokeStyle: '#000',
@@ -56,10 +203,359 @@ export default class GlobeMap {
                 fillStyle: null,
                 strokeStyle: '#CCC',
                 strokeWidth: 1.5
+            },
+
+            graticule: {
+                enabled: false,
+
+                // Degrees between the meridians and the parallels.
+                step: [10, 10],
+
+                strokeStyle: 'rgba(0, 0, 0, 0.1)',
+                strokeWidth: 0.5
+            },
+
+            // Glow around the globe.
+            atmosphere: {
+                enabled: false,
+                color: 'rgba(120, 170, 255, 0.5)',
+
+                // Relative to the radius of the globe.
+                width: 0.08
+            },
+
+            // Radial gradient over the globe to fake lighting.
+            shading: {
+                enabled: false,
+
+                // Position of the light relative to the center of the globe,
+                // [-1, -1] is the top left edge and [1, 1] the bottom right edge.
+                lightPosition: [-0.4, -0.4],
+
+                highlight: 'rgba(255, 255, 255, 0.25)',
+                shadow: 'rgba(0, 0, 0, 0.25)'
+            },
+
+            // Land of the far hemisphere seen through the globe.
+            backside: {
+                enabled: false,
+
+                // Null uses the land fill.
+                fillStyle: null,
+
+                opacity: 0.15
+            },
+
+            // Used by startRotation().
+            rotation: {
+                // Degrees per second.
+                speed: 6,
+
+                // Direction of the rotation as [longitude, latitude],
+                // [1, 0] spins the globe around its axis.
+                axis: [1, 0],
+
+                // Milliseconds after user interaction or a transition before
+                // rotating again, null to keep it stopped.
+                resumeAfter: 3000
+            },
+
+            interaction: {
+                // Drag to rotate the globe.
+                drag: true,
+
+                // Keep spinning for a bit after a drag is released.
+                inertia: true,
+
+                // Lower values make the inertia last longer (0 - 1).
+                inertiaFriction: 0.05,
+
+                wheelZoom: true,
+                pinchZoom: true,
+
+                minZoom: 1,
+                maxZoom: 20
+            },
+
+            // Used when zooming on countries and regions without a zoom level.
+            fit: {
+                // Space in pixels to keep around the country or region.
+                padding: 20,
+
+                // Parts of a country smaller than this fraction of its largest part
+                // are ignored, so Hawaii does not zoom out the United States.
+                minPartRatio: 0.01
+            },
+
+            // Defaults of every camera transition, can be overridden per call.
+            transition: {
+                // In milliseconds.
+                duration: 1250,
+
+                // Function of t in [0, 1], null uses the cubic in-out easing of d3.
+                easing: null,
+
+                // In milliseconds.
+                delay: 0,
+
+                // Apply the end of transitions right away instead of animating them.
+                // Headless globes always do, as there are no frames to animate.
+                jumpToEnd: false
+            },
+
+            // Fading highlights in and out, and changing the colors of highlights and data.
+            colorTransition: {
+                // In milliseconds, null uses the duration of the camera transitions.
+                // 0 changes the colors right away.
+                duration: null,
+
+                // Function of t in [0, 1], null uses the easing of the camera transitions.
+                easing: null
+            },
+
+            // Defaults of pulse().
+            pulse: {
+                // Null uses the highlight color.
+                color: null,
+
+                count: 3,
+
+                // Milliseconds per pulse.
+                duration: 600
+            },
+
+            // Defaults of toPNG() and toSVG().
+            export: {
+                // Pixel density of the PNG relative to the size of the canvas.
+                scale: 2,
+
+                // Null keeps the background transparent.
+                background: null,
+
+                // 'blob' or 'dataURL'.
+                type: 'blob'
+            },
+
+            // Defaults of tours created with createTour().
+            tour: {
+                // Milliseconds to wait on every step while playing.
+                pause: 2000,
+
+                // Steps bound to the scroll position start when their element passes
+                // this line, as a fraction of the viewport height from the top.
+                scrollOffset: 0.5
+            },
+
+            flight: {
+                // Zoom out, rotate and zoom back in instead of flying straight
+                // when the new center is further away than smoothThreshold.
+                smooth: false,
+
+                // In degrees.
+                smoothThreshold: 60,
+
+                // Zoom level to zoom out to halfway a smooth flight.
+                zoomOutLevel: 1
+            },
+
+            // Defaults for markers added with addMarkers().
+            markers: {
+                radius: 4,
+                fillStyle: '#C00',
+                strokeStyle: '#FFF',
+                strokeWidth: 1,
+
+                // Markers with a value are sized by area, the largest value
+                // (or maxValue when set) gets the maximum radius.
+                maxValue: null,
+                maxRadius: 20,
+
+                font: '11px sans-serif',
+                labelFillStyle: '#000'
+            },
+
+            // Defaults for arcs added with addArcs().
+            arcs: {
+                strokeStyle: '#C00',
+
+                // Width of arcs without a value.
+                width: 1.5,
+
+                // Arcs with a value are scaled between these widths, the largest
+                // value (or maxValue when set) gets the maximum width.
+                minWidth: 1,
+                maxWidth: 8,
+                maxValue: null,
+
+                // Height of the middle of the arc relative to its length,
+                // 0 draws the arcs flat on the globe.
+                height: 0,
+
+                arrowheads: false,
+                arrowSize: 6,
+
+                // Dash pattern used by the dash animation.
+                dash: [6, 6]
+            },
+
+            // Names of countries and labels added with addLabels(). Labels that would
+            // overlap a label with a higher priority are left out.
+            labels: {
+                // 'none', 'all' or only the 'highlighted' countries.
+                countries: 'none',
+
+                // Receives the country feature and the data bound to it and
+                // returns the text of its label. Defaults to the name.
+                text: null,
+
+                // 'area', 'value' of the bound data or a function that receives the country
+                // feature and its data. Labels added with addLabels() come first by default.
+                priority: 'area',
+
+                fontFamily: 'sans-serif',
+                fontWeight: 'normal',
+                fontSize: 11,
+
+                // The font grows with the zoom level to the power of this, up to the maximum. Labels
+                // with their own font size grow up to the same ratio of that size.
+                fontScale: 0.3,
+                maxFontSize: 18,
+
+                fillStyle: '#333',
+
+                // Outline that keeps the labels readable on any color, a width of 0 disables it.
+                haloStyle: 'rgba(255, 255, 255, 0.8)',
+                haloWidth: 3,
+
+                // Degrees from the edge of the globe in which labels are hidden,
+                // as they are squeezed together there.
+                limbMargin: 15,
+
+                // Pixels kept free around every label.
+                padding: 2
+            },
+
+            // Style of the country under the pointer, leave
+            // the fill and stroke null to disable hover styling.
+            hover: {
+                fillStyle: null,
+                strokeStyle: null,
+                strokeWidth: 1
+            },
+
+            tooltip: {
+                enabled: false,
+
+                // Receives the country feature and the data bound to it
+                // and returns the html of the tooltip. Defaults to the name.
+                formatter: null,
+
+                // Distance in pixels between the pointer and the tooltip.
+                offset: 12,
+
+                className: 'globemap-tooltip',
+
+                // Set to false when styling the tooltip with your own css.
+                defaultStyle: true
+            },
+
+            choropleth: {
+                // sequential, diverging or threshold.
+                type: 'sequential',
+
+                // Sequential: [min, max], diverging: [min, mid, max], threshold: the breaks.
+                // When null the domain is calculated from the extent of the data.
+                domain: null,
+
+                // Sequential and diverging colors are interpolated, threshold
+                // scales need one color more than there are breaks.
+                colors: ['#FFE0B2', '#E65100'],
+
+                // Returns the number to color from the data bound to a country.
+                // By default the data itself or its value property is used.
+                value: null,
+
+                // Fill of countries without a value, null keeps the land color.
+                noDataFillStyle: null
+            },
+
+            legend: {
+                enabled: false,
+                title: '',
+
+                // Number of ticks or a list of values for sequential and diverging scales.
+                ticks: 5,
+                tickValues: null,
+
+                // Formats the numbers in the legend, defaults to toLocaleString().
+                format: null,
+
+                noDataLabel: 'No data',
+
+                // top-left, top-right, bottom-left or bottom-right.
+                position: 'bottom-left',
+                width: 200,
+
+                className: 'globemap-legend',
+
+                // Set to false when styling the legend with your own css.
+                defaultStyle: true
+            },
+
+            // Keyboard navigation and visually hidden elements for screen readers.
+            accessibility: {
+                enabled: true,
+
+                // Accessible name of the canvas.
+                label: 'Interactive globe',
+
+                // Arrow keys rotate the globe, + and - zoom, Tab goes through
+                // the highlighted countries and Enter clicks the focused one.
+                keyboard: true,
+                instructions: 'Use the arrow keys to rotate the globe, plus and minus to zoom, '
+                    + 'Tab to go through the highlighted countries and Enter to select one.',
+
+                // Degrees per arrow key press, divided by the zoom level.
+                rotateStep: 10,
+
+                // Zoom factor per + or - key press.
+                zoomStep: 1.5,
+
+                // Outline of the country focused with Tab.
+                focusStrokeStyle: '#000',
+                focusStrokeWidth: 2,
+
+                // Announce the view in a live region when the camera stops moving.
+                announce: true,
+
+                // Receives the view ({ center, zoom, rotation, name, highlighted })
+                // and returns the announcement. Defaults to describeView().
+                describeView: null,
+
+                // Table of the highlighted countries and their data.
+                table: true,
+                caption: 'Highlighted countries',
+                nameHeader: 'Country',
+                valueHeader: 'Value',
+
+                // Formats the values in the table, defaults to toLocaleString().
+                format: null,
+
+                noDataLabel: 'No data',
+
+                className: 'globemap-accessibility'
             }
         };
 
-        this.settings = _merge(this.defaultSettings, customSettings);
+        // Merge into a new object so the defaults stay untouched.
+        this.settings = mergeSettings({}, this.defaultSettings, customSettings);
+
+        /**
+         * Whether we draw on the context from the settings, without a page.
+         *
+         * @type {Boolean}
+         */
+        this.headless = this.settings.headless.context !== null;
 
         /**
          * @type {Boolean}
@@ -87,29 +583,105 @@ export default class GlobeMap {
          */
         this.geoPath = undefined;
 
+        /**
+         * Whether setGeodata() was called.
+         *
+         * @type {Boolean}
+         */
+        this.geodataLoaded = false;
+
         /**
          * Geojson of the entire world.
          *
-         * @type {Object}
+         * @type {Object|null}
          */
-        // this.landGeoJson = topojson.feature(WORLD_ATLAS, WORLD_ATLAS.objects.land);
-        this.landGeoJson = topojson.feature(WORLD_ATLAS, WORLD_ATLAS.objects['world.geo']);
+        this.landGeoJson = null;
 
         /**
          * Geo json of the country borders.
          *
-         * @type {Object}
+         * @type {Object|null}
          */
-        // this.bordersGeoJson = topojson.mesh(WORLD_ATLAS, WORLD_ATLAS.objects.countries, (a, b) => a !== b);
-        this.bordersGeoJson = topojson.mesh(WORLD_ATLAS);
+        this.bordersGeoJson = null;
 
         /**
          * Geojson of individual countries.
          *
+         * @type {Array.<Object>}
+         */
+        this.countriesGeoJson = [];
+
+        /**
+         * Lower detail land, borders and countries to draw while the camera moves.
+         *
+         * @type {Object|null}
+         */
+        this.simplifiedGeoJson = null;
+
+        /**
+         * Id of the animation frame render() requested.
+         *
+         * @type {Number|null}
+         */
+        this.renderFrame = null;
+
+        /**
+         * Whether the projection changed since the camera last settled.
+         *
+         * @type {Boolean}
+         */
+        this.cameraMoving = false;
+
+        this.settleTimeout = null;
+
+        /**
+         * Number of camera transitions that are running, an interrupted one ends after the next started.
+         *
+         * @type {Number}
+         */
+        this.runningTransitions = 0;
+
+        /**
+         * The last mouse move over the globe, to show the tooltip again once the camera stops moving.
+         *
+         * @type {Event|null}
+         */
+        this.lastPointerEvent = null;
+
+        /**
+         * Offscreen canvases with the layers below and above the highlights, and the
+         * state they were drawn in. Invalidated by increasing the version.
+         *
          * @type {Object}
          */
-        // this.countriesGeoJson = topojson.feature(WORLD_ATLAS, WORLD_ATLAS.objects.countries).features;
-        this.countriesGeoJson = topojson.feature(WORLD_ATLAS, WORLD_ATLAS.objects['world.geo']).features;
+        this.layerCache = {
+            below: null,
+            above: null,
+            key: null,
+            version: 0
+        };
+
+        /**
+         * Geojson of the graticule, created when it is first drawn.
+         *
+         * @type {Object|null}
+         */
+        this.graticuleGeoJson = null;
+
+        /**
+         * Countries by their lowercase name, alias and ISO codes.
+         *
+         * @type {Object.<Object>}
+         */
+        this.countryIndex = {};
+
+        /**
+         * Subdivisions by the id of their country, each with
+         * { features, borders, index } like the countries.
+         *
+         * @type {Object.<Object>}
+         */
+        this.subdivisions = {};
 
         /**
          * @type {Object}
@@ -119,7 +691,21 @@ export default class GlobeMap {
         /**
          * @type {Object}
          */
-        this.holderBoundingBox = this.holder.getBoundingClientRect();
+        this.holderBoundingBox = this.measureHolder();
+
+        /**
+         * Pixels of the canvas per CSS pixel.
+         *
+         * @type {Number}
+         */
+        this.pixelRatio = 1;
+
+        /**
+         * Calls resize() when the size of the holder changes.
+         *
+         * @type {ResizeObserver|null}
+         */
+        this.resizeObserver = null;
 
         /**
          * List of highlighted countries.
@@ -128,560 +714,5244 @@ export default class GlobeMap {
          */
         this.highlightedCountries = [];
 
+        /**
+         * Countries that were unhighlighted and are still fading out.
+         *
+         * @type {Array.<Object>}
+         */
+        this.fadingHighlights = [];
+
+        /**
+         * Countries that are pulsing, by their id.
+         *
+         * @type {Object.<Object>}
+         */
+        this.pulses = {};
+
+        /**
+         * Names of the running transitions started by animate().
+         *
+         * @type {Object.<Boolean>}
+         */
+        this.animations = {};
+
+        /**
+         * Ids of the countries that are not dimmed, null when nothing is dimmed.
+         *
+         * @type {Object.<Boolean>|null}
+         */
+        this.focusIds = null;
+
+        /**
+         * Canvas patterns of the styles, by their options.
+         *
+         * @type {Object.<CanvasPattern>}
+         */
+        this.canvasPatterns = {};
+
         /**
          * @type {Number}
          */
         this.zoom = 1;
 
-        // Loop through the selected highlighted countries
-        // and activate the highlight.
-        for (let i = 0; i < this.settings.highlightedCountries.length; i++) {
-            this.highlightCountry(
-                this.settings.highlightedCountries[i].name,
-                this.settings.highlightedCountries[i].color
-            );
-        }
+        /**
+         * Name used for all d3 transitions of this instance.
+         *
+         * @type {String}
+         */
+        this.transitionName = 'globemap-' + (instanceCounter++);
 
-        // Loop through the selected highlighted continents
-        // and activate the highlight.
-        for (let i = 0; i < this.settings.highlightedRegions.length; i++) {
-            this.highlightRegion(
-                this.settings.highlightedRegions[i].name,
-                this.settings.highlightedRegions[i].color
-            );
-        }
+        /**
+         * All DOM listeners we registered so they can be removed again.
+         *
+         * @type {Array.<Object>}
+         */
+        this.listeners = [];
+
+        /**
+         * Tours created with createTour(), destroyed together with the globe.
+         *
+         * @type {Array.<Tour>}
+         */
+        this.tours = [];
+
+        /**
+         * State of the pointer gestures.
+         *
+         * @type {Object}
+         */
+        this.gesture = {
+            // Active pointers by pointerId.
+            pointers: {},
+
+            // Rotation velocity in degrees per millisecond.
+            velocity: [0, 0],
+            lastMoveTime: 0,
+
+            pinchStartDistance: 0,
+            pinchStartZoom: 1,
+
+            inertiaFrame: null,
+
+            // Where the first pointer went down, used to tell clicks from drags.
+            downPosition: null,
+            moved: false
+        };
+
+        /**
+         * State of the automatic rotation.
+         *
+         * @type {Object}
+         */
+        this.spin = {
+            // Whether startRotation() was called.
+            active: false,
+
+            // Paused by user interaction or a transition.
+            paused: false,
+
+            // Whether the canvas is in the viewport.
+            inViewport: true,
+
+            speed: 0,
+            axis: [1, 0],
+
+            frame: null,
+            lastFrameTime: 0,
+            resumeTimeout: null,
+
+            observer: null,
+            observing: false
+        };
+
+        /**
+         * Country feature currently under the pointer.
+         *
+         * @type {Object|null}
+         */
+        this.hoveredCountry = null;
+
+        /**
+         * Marker currently under the pointer.
+         *
+         * @type {Object|null}
+         */
+        this.hoveredMarker = null;
+
+        /**
+         * Markers in the order they were added.
+         *
+         * @type {Array.<Object>}
+         */
+        this.markers = [];
+
+        /**
+         * Used to create ids for markers that were added without one.
+         *
+         * @type {Number}
+         */
+        this.markerCounter = 0;
+
+        /**
+         * Largest value of all markers.
+         *
+         * @type {Number}
+         */
+        this.markerMaxValue = 0;
+
+        /**
+         * Loaded marker icons by their url.
+         *
+         * @type {Object.<Image>}
+         */
+        this.markerIcons = {};
+
+        /**
+         * Labels added with addLabels(), in the order they were added.
+         *
+         * @type {Array.<Object>}
+         */
+        this.labels = [];
+
+        /**
+         * Used to create ids for labels that were added without one.
+         *
+         * @type {Number}
+         */
+        this.labelCounter = 0;
+
+        /**
+         * Where to place the label of each country and its area, by country id.
+         *
+         * @type {Object.<Object>}
+         */
+        this.labelPoints = {};
+
+        /**
+         * Width of label texts at a font size of 1 pixel, by font and text.
+         *
+         * @type {Object.<Number>}
+         */
+        this.labelWidths = {};
+
+        /**
+         * Arcs in the order they were added.
+         *
+         * @type {Array.<Object>}
+         */
+        this.arcs = [];
+
+        /**
+         * Used to create ids for arcs that were added without one.
+         *
+         * @type {Number}
+         */
+        this.arcCounter = 0;
+
+        /**
+         * Largest value of all arcs.
+         *
+         * @type {Number}
+         */
+        this.arcMaxValue = 0;
+
+        /**
+         * State of the arc animation.
+         *
+         * @type {Object}
+         */
+        this.arcAnimation = {
+            // Part of the arcs that is drawn (0 - 1).
+            progress: 1,
+
+            // Offset of the dash pattern when the dash animation runs, null otherwise.
+            dashOffset: null
+        };
+
+        /**
+         * Data bound to countries by their id.
+         *
+         * @type {Object}
+         */
+        this.countryData = {};
+
+        /**
+         * Choropleth fill of the countries by their id.
+         *
+         * @type {Object.<String>}
+         */
+        this.choroplethColors = {};
+
+        /**
+         * Maps a value to its choropleth color.
+         *
+         * @type {Function|null}
+         */
+        this.colorScale = null;
+
+        /**
+         * @type {Tooltip|null}
+         */
+        this.tooltip = null;
+
+        /**
+         * @type {Legend|null}
+         */
+        this.legend = null;
+
+        /**
+         * @type {Accessibility|null}
+         */
+        this.accessibility = null;
+
+        /**
+         * Highlighted country focused with the keyboard.
+         *
+         * @type {Object|null}
+         */
+        this.focusedCountry = null;
+
+        /**
+         * The rows of the accessible table as a string, so we only update it when they change.
+         *
+         * @type {String|null}
+         */
+        this.accessibleTableKey = null;
+
+        /**
+         * Announces the view once the camera has been still for a moment.
+         *
+         * @type {Function|null}
+         */
+        this.scheduleAnnouncement = null;
+
+        /**
+         * Regions by their lowercase name.
+         *
+         * @type {Object.<Object>}
+         */
+        this.regions = {};
+
+        /**
+         * Alternative region names mapped to the name of the region.
+         *
+         * @type {Object.<String>}
+         */
+        this.regionAliases = {};
+
+        Object.keys(REGIONS).forEach(name => {
+            this.registerRegion(name, REGIONS[name].countries, REGIONS[name]);
+        });
+
+        /**
+         * The country, region or other geojson we last zoomed on.
+         *
+         * @type {Object|undefined}
+         */
+        this.zoomedGeoJson = undefined;
+
+        /**
+         * Name of the region we last zoomed on, undefined when we zoomed on a country.
+         *
+         * @type {String|undefined}
+         */
+        this.zoomedRegion = undefined;
+
+        /**
+         * [longitude, latitude] the last camera move centered on.
+         *
+         * @type {Array.<Number>|undefined}
+         */
+        this.zoomedCenter = undefined;
+
+        /**
+         * Handlers registered on the events by setupTooltip().
+         *
+         * @type {Array.<Array>}
+         */
+        this.tooltipHandlers = [];
+
+        /**
+         * @type {Boolean}
+         */
+        this.initialized = false;
+
+        // Geodata we already have can be used right away, urls are fetched on init().
+        if (typeof this.getGeodataSource() !== 'string') {
+            this.loadGeodata();
+        }
+    }
+
+    /**
+     * @return {Object|String} Geodata or its url.
+     */
+    getGeodataSource() {
+        const source = this.settings.geodata.source;
+
+        return source !== null ? source : loadDefaultGeodata();
+    }
+
+    /**
+     * Load the geodata from the settings.
+     *
+     * @return {Promise} Resolves when the geodata is used, which
+     *                   is immediately when it is not an url.
+     */
+    loadGeodata() {
+        const source = this.getGeodataSource();
+
+        if (typeof source !== 'string') {
+            this.setGeodata(source);
+            return Promise.resolve();
+        }
+
+        return this.fetchGeodata(source).then(geodata => {
+            this.setGeodata(geodata);
+        });
+    }
+
+    /**
+     * @param  {String}  url
+     * @return {Promise} Resolves with the parsed geodata.
+     */
+    fetchGeodata(url) {
+        let request;
+
+        if (!this.headless) {
+            // Called on the window, browsers throw when fetch runs without it.
+            request = this.document.defaultView.fetch(url);
+        } else if (typeof this.settings.headless.fetch === 'function') {
+            request = this.settings.headless.fetch(url);
+        } else {
+            return Promise.reject(new Error(`Set headless.fetch to load the geodata from ${url} without a page.`));
+        }
+
+        return request.then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load the geodata from ${url} (${response.status}).`);
+            }
+
+            return response.json();
+        });
+    }
+
+    /**
+     * Use other boundaries for the countries, for example another
+     * convention for disputed borders or historical borders.
+     *
+     * The id and name of every country are read with the accessors of
+     * the geodata settings and stored as its id and name properties.
+     * Subdivisions stay linked to the country with the same id.
+     *
+     * @param  {Object}   geodata TopoJSON topology or GeoJSON.
+     * @return {GlobeMap}
+     */
+    setGeodata(geodata) {
+        const { features, borders } = readGeodata(geodata, this.settings.geodata);
+
+        this.countriesGeoJson = features;
+
+        this.landGeoJson = {
+            type: 'FeatureCollection',
+            features: this.countriesGeoJson
+        };
+
+        // Plain GeoJSON has no shared arcs, so we outline every country instead.
+        this.bordersGeoJson = borders !== null ? borders : this.landGeoJson;
+
+        const tolerance = this.settings.performance.simplifyTolerance;
+
+        if (tolerance > 0) {
+            const simplified = readGeodata(simplifyGeodata(geodata, tolerance), this.settings.geodata);
+            const land = { type: 'FeatureCollection', features: simplified.features };
+
+            this.simplifiedGeoJson = {
+                land,
+                borders: simplified.borders !== null ? simplified.borders : land,
+                countries: simplified.features
+            };
+        } else {
+            this.simplifiedGeoJson = null;
+        }
+
+        this.invalidateLayers();
+
+        this.countryIndex = this.createCountryIndex();
+        this.labelPoints = {};
+        this.hoveredCountry = null;
+
+        // Countries that are no longer in the geodata can't have subdivisions.
+        Object.keys(this.subdivisions).forEach(id => {
+            if (this.getCountryGeoJson(id) === undefined) {
+                delete this.subdivisions[id];
+            }
+        });
+
+        this.fadingHighlights = [];
+
+        if (this.geodataLoaded) {
+            // Keep the highlights of countries that are also in the new geodata.
+            this.highlightedCountries = this.highlightedCountries.filter(country => {
+                country.geojson = this.getCountryGeoJson(country.id);
+
+                return country.geojson !== undefined;
+            });
+        } else {
+            this.geodataLoaded = true;
+            this.highlightFromSettings();
+        }
+
+        this.updateAccessibleTable();
+        this.render();
+
+        return this;
+    }
+
+    /**
+     * Highlight the countries and regions listed in the settings.
+     */
+    highlightFromSettings() {
+        // Loop through the selected highlighted countries
+        // and activate the highlight.
+        for (let i = 0; i < this.settings.highlightedCountries.length; i++) {
+            this.highlightCountry(
+                this.settings.highlightedCountries[i].name,
+                this.settings.highlightedCountries[i].color
+            );
+        }
+
+        // Loop through the selected highlighted continents
+        // and activate the highlight.
+        for (let i = 0; i < this.settings.highlightedRegions.length; i++) {
+            this.highlightRegion(
+                this.settings.highlightedRegions[i].name,
+                this.settings.highlightedRegions[i].color
+            );
+        }
+    }
+
+    /**
+     * Change the settings without creating a new globe, and render again.
+     *
+     * @param  {Object}   partial Any part of the settings, arrays replace the current value.
+     * @return {GlobeMap}
+     */
+    updateSettings(partial) {
+        const previous = {
+            highlightColor: this.settings.highlightColor,
+            highlightedCountries: this.settings.highlightedCountries,
+            highlightedRegions: this.settings.highlightedRegions
+        };
+
+        mergeSettings(this.settings, partial);
+
+        // Any setting can change how the cached layers look.
+        this.invalidateLayers();
+
+        // Replace the highlights of the previous lists with the new ones.
+        if (partial.highlightedCountries !== undefined || partial.highlightedRegions !== undefined) {
+            for (let i = 0; i < previous.highlightedCountries.length; i++) {
+                this.unhighlightCountry(previous.highlightedCountries[i].name, false);
+            }
+
+            for (let i = 0; i < previous.highlightedRegions.length; i++) {
+                const countries = this.getRegionCountries(previous.highlightedRegions[i].name);
+
+                for (let j = 0; j < countries.length; j++) {
+                    this.unhighlightCountry(countries[j].properties.id, false);
+                }
+            }
+
+            this.highlightFromSettings();
+        }
+
+        // Countries highlighted without a color of their own get the new color.
+        if (this.settings.highlightColor !== previous.highlightColor) {
+            for (let i = 0; i < this.highlightedCountries.length; i++) {
+                if (this.highlightedCountries[i].style === null
+                    && this.highlightedCountries[i].color === previous.highlightColor
+                ) {
+                    this.changeHighlightColor(this.highlightedCountries[i], this.settings.highlightColor);
+                }
+            }
+        }
+
+        if (partial.graticule !== undefined) {
+            this.graticuleGeoJson = null;
+        }
+
+        // Urls are loaded in the background and render when they are ready.
+        if (partial.geodata !== undefined) {
+            this.loadGeodata().catch(error => this.warn('geodata-failed', error.message, { error }));
+        }
+
+        if (partial.choropleth !== undefined) {
+            this.updateChoropleth();
+        }
+
+        if (this.initialized) {
+            // Headless globes take their size from the settings.
+            if (this.headless && partial.headless !== undefined) {
+                this.resize();
+            } else if (this.getPixelRatio() !== this.pixelRatio) {
+                this.updateCanvasSize();
+            }
+
+            // The tooltip and legend apply their settings when they are created.
+            if (partial.tooltip !== undefined) {
+                this.removeTooltip();
+                this.setupTooltip();
+            }
+
+            if (partial.legend !== undefined) {
+                this.removeLegend();
+                this.setupLegend();
+            }
+
+            if (partial.accessibility !== undefined) {
+                this.removeAccessibility();
+                this.setupAccessibility();
+            }
+        }
+
+        this.updateAccessibleTable();
+        this.render();
+
+        return this;
+    }
+
+    /**
+     * Remove the globe and everything it added to the page, and stop all its
+     * transitions, timers and listeners. The instance can not be used afterwards.
+     */
+    destroy() {
+        // Copy because tours remove themselves.
+        const tours = this.tours.slice();
+
+        for (let i = 0; i < tours.length; i++) {
+            tours[i].destroy();
+        }
+
+        this.stop();
+        this.stopArcAnimation(false);
+        this.stopAnimations();
+        this.stopRotation();
+
+        if (this.spin.observer !== null) {
+            this.spin.observer.disconnect();
+            this.spin.observer = null;
+        }
+
+        if (this.resizeObserver !== null) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        for (let i = 0; i < this.listeners.length; i++) {
+            const listener = this.listeners[i];
+            listener.target.removeEventListener(listener.type, listener.handler, listener.options);
+        }
+
+        this.listeners = [];
+
+        this.removeTooltip();
+        this.removeLegend();
+        this.removeAccessibility();
+
+        if (this.layers.canvas !== null) {
+            this.layers.canvas.remove();
+            this.layers.canvas = null;
+        }
+
+        if (this.renderFrame !== null) {
+            window.cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+
+        clearTimeout(this.settleTimeout);
+
+        // Makes render() a no-op for anything that still calls it, like loading marker icons.
+        this.canvasContext = undefined;
+        this.layerCache.below = null;
+        this.layerCache.above = null;
+
+        this.eventHandlers = {};
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the class.
+     *
+     * The globe is drawn right away, the countries appear as soon as the
+     * geodata is loaded. Wait for the Promise before using countries when
+     * the geodata is an url, as it is in the lazy build.
+     *
+     * @return {Promise} Resolves with the globe when the geodata is ready. When it can't
+     *                   be loaded it resolves too, after a geodata-failed warning.
+     */
+    init() {
+        this.setupLayers();
+        this.setupProjection();
+
+        // Without a page there is nothing to interact with or to resize.
+        if (!this.headless) {
+            this.setupInteraction();
+            this.setupTooltip();
+            this.setupLegend();
+            this.setupAccessibility();
+            this.observeResize();
+        }
+
+        this.render();
+
+        this.initialized = true;
+
+        // Rotation might have been started before initializing.
+        if (this.spin.active) {
+            this.observeVisibility();
+            this.updateRotationLoop();
+        }
+
+        const ready = this.geodataLoaded ? Promise.resolve() : this.loadGeodata();
+
+        // Like updateSettings(), so callers that don't wait for init() get no unhandled rejection.
+        return ready
+            .catch(error => this.warn('geodata-failed', error.message, { error }))
+            .then(() => this);
+    }
+
+    /**
+     * Keep rotating the globe until stopRotation() is called.
+     *
+     * Pauses on user interaction and transitions, and while the
+     * globe is outside of the viewport or the tab is hidden.
+     *
+     * @param {Object}         options
+     * @param {Number}         options.speed Degrees per second.
+     * @param {Array.<Number>} options.axis  [longitude, latitude] direction.
+     */
+    startRotation(options = {}) {
+        const settings = this.settings.rotation;
+
+        this.spin.speed = typeof options.speed === 'number' ? options.speed : settings.speed;
+        this.spin.axis = options.axis || settings.axis;
+        this.spin.active = true;
+        this.spin.paused = false;
+
+        this.observeVisibility();
+        this.updateRotationLoop();
+    }
+
+    stopRotation() {
+        this.spin.active = false;
+        this.spin.paused = false;
+
+        clearTimeout(this.spin.resumeTimeout);
+        this.spin.resumeTimeout = null;
+
+        this.updateRotationLoop();
+    }
+
+    /**
+     * Pause the rotation and (re)start the timer that resumes it. While camera transitions
+     * run the timer is only started once the last one finishes.
+     */
+    pauseRotation() {
+        if (this.spin.active === false) {
+            return;
+        }
+
+        const resumeAfter = this.settings.rotation.resumeAfter;
+
+        this.spin.paused = true;
+        clearTimeout(this.spin.resumeTimeout);
+        this.spin.resumeTimeout = null;
+
+        if (typeof resumeAfter === 'number' && this.runningTransitions === 0) {
+            this.spin.resumeTimeout = setTimeout(() => {
+                this.spin.resumeTimeout = null;
+
+                // Don't resume in the middle of a drag.
+                if (Object.keys(this.gesture.pointers).length > 0) {
+                    this.pauseRotation();
+                    return;
+                }
+
+                this.spin.paused = false;
+                this.updateRotationLoop();
+            }, resumeAfter);
+        }
+
+        this.updateRotationLoop();
+    }
+
+    /**
+     * Start or stop the animation frame loop depending on the state of the rotation.
+     */
+    updateRotationLoop() {
+        const spin = this.spin;
+        const shouldRun = spin.active && !spin.paused && spin.inViewport && this.initialized
+            // Without a page there are no frames to rotate with.
+            && !this.headless && !this.document.hidden;
+
+        if (shouldRun && spin.frame === null) {
+            spin.lastFrameTime = Date.now();
+
+            const step = () => {
+                const now = Date.now();
+
+                // Don't jump ahead after the browser throttled the frames.
+                const elapsed = Math.min(now - spin.lastFrameTime, 100) / 1000;
+                spin.lastFrameTime = now;
+
+                this.applyRotationDelta(spin.axis[0] * spin.speed * elapsed, spin.axis[1] * spin.speed * elapsed);
+
+                spin.frame = window.requestAnimationFrame(step);
+            };
+
+            spin.frame = window.requestAnimationFrame(step);
+        } else if (!shouldRun && spin.frame !== null) {
+            window.cancelAnimationFrame(spin.frame);
+            spin.frame = null;
+        }
+    }
+
+    /**
+     * Keep track of whether the globe can be seen, so we don't rotate it for nothing.
+     */
+    observeVisibility() {
+        if (this.spin.observing || this.initialized === false || this.headless) {
+            return;
+        }
+
+        this.spin.observing = true;
+
+        this.listen(this.document, 'visibilitychange', () => this.updateRotationLoop());
+
+        if (typeof window.IntersectionObserver === 'function') {
+            this.spin.observer = new window.IntersectionObserver(entries => {
+                this.spin.inViewport = entries[entries.length - 1].isIntersecting;
+                this.updateRotationLoop();
+            });
+
+            this.spin.observer.observe(this.layers.canvas.node());
+        }
+    }
+
+    /**
+     * Draw all the map layers.
+     */
+    render() {
+        // Nothing to draw on before init(), for example when
+        // highlighting countries from the settings.
+        if (this.canvasContext === undefined || this.renderFrame !== null) {
+            return;
+        }
+
+        // There are no frames to wait for without a page, and this way
+        // the context is up to date as soon as a method returns.
+        if (this.headless) {
+            this.renderNow();
+            return;
+        }
+
+        this.renderFrame = window.requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderNow();
+        });
+    }
+
+    /**
+     * Draw the map right away, render() waits for the next frame instead.
+     */
+    renderNow() {
+        const context = this.canvasContext;
+
+        if (context === undefined) {
+            return;
+        }
+
+        if (this.renderFrame !== null) {
+            window.cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+
+        const { width, height } = this.holderBoundingBox;
+        const path = this.geoPath;
+
+        context.clearRect(0, 0, width, height);
+
+        // While the camera moves the cache would be outdated every frame.
+        if (!this.settings.performance.cacheLayers || this.cameraMoving || !this.canCreateCanvas()) {
+            this.renderLayers(context, path, true);
+            return;
+        }
+
+        this.updateLayerCache();
+
+        context.drawImage(this.layerCache.below, 0, 0, width, height);
+        this.renderHighlightLayers(context, path, true);
+        context.drawImage(this.layerCache.above, 0, 0, width, height);
+        this.renderOverlayLayers(context, path, true);
+    }
+
+    /**
+     * Draw the layers that only change with the projection on the offscreen
+     * canvases, when the projection or anything else changed since last time.
+     */
+    updateLayerCache() {
+        const cache = this.layerCache;
+        const { width, height } = this.holderBoundingBox;
+
+        const key = JSON.stringify([
+            this.projection.rotate(),
+            this.projection.scale(),
+            this.projection.translate(),
+            width,
+            height,
+            this.pixelRatio,
+            cache.version
+        ]);
+
+        if (key === cache.key) {
+            return;
+        }
+
+        if (cache.below === null) {
+            cache.below = this.createCanvas(width, height);
+            cache.above = this.createCanvas(width, height);
+        }
+
+        const layers = [
+            [cache.below, 'renderBelowLayers'],
+            [cache.above, 'renderAboveLayers']
+        ];
+
+        for (let i = 0; i < layers.length; i++) {
+            const [canvas, method] = layers[i];
+            const context = canvas.getContext('2d');
+
+            canvas.width = Math.round(width * this.pixelRatio);
+            canvas.height = Math.round(height * this.pixelRatio);
+            context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+
+            this[method](context, geoPath(this.projection, context), true);
+        }
+
+        cache.key = key;
+    }
+
+    /**
+     * @return {Boolean}
+     */
+    canCreateCanvas() {
+        return !this.headless || typeof this.settings.headless.createCanvas === 'function';
+    }
+
+    /**
+     * Create an offscreen canvas, with the headless setting when there is no page.
+     *
+     * @param  {Number} width
+     * @param  {Number} height
+     * @return {Object}
+     */
+    createCanvas(width, height) {
+        if (this.headless) {
+            return this.settings.headless.createCanvas(width, height);
+        }
+
+        return this.document.createElement('canvas');
+    }
+
+    /**
+     * Redraw the cached layers on the next render, for changes
+     * that don't change the projection, like new choropleth data.
+     */
+    invalidateLayers() {
+        this.layerCache.version++;
+    }
+
+    /**
+     * Draw the map layers on any canvas context.
+     *
+     * @param {Object}   context
+     * @param {Function} path        geoPath of the projection that draws on the context.
+     * @param {Boolean}  interactive Include the hover state and simplify while the camera moves,
+     *                              which we don't want in exports.
+     */
+    renderLayers(context, path, interactive) {
+        this.renderBelowLayers(context, path, interactive);
+        this.renderHighlightLayers(context, path, interactive);
+        this.renderAboveLayers(context, path, interactive);
+        this.renderOverlayLayers(context, path, interactive);
+    }
+
+    /**
+     * The geojson to draw, simplified while the camera moves. Exports always get the full detail.
+     *
+     * @param  {Boolean} interactive
+     * @return {Object}  { land, borders, countries }
+     */
+    getRenderGeoJson(interactive) {
+        const settings = this.settings.performance;
+
+        if (interactive && this.cameraMoving && this.simplifiedGeoJson !== null && this.projection !== undefined) {
+            // The size of the tolerance in pixels at the current zoom level.
+            const error = settings.simplifyTolerance * (Math.PI / 180) * this.projection.scale();
+
+            if (error <= settings.maxSimplifiedError) {
+                return this.simplifiedGeoJson;
+            }
+        }
+
+        return {
+            land: this.landGeoJson,
+            borders: this.bordersGeoJson,
+            countries: this.countriesGeoJson
+        };
+    }
+
+    /**
+     * The globe, land and choropleth.
+     *
+     * @param {Object}   context
+     * @param {Function} path
+     * @param {Boolean}  interactive
+     */
+    renderBelowLayers(context, path, interactive) {
+        const geojson = this.getRenderGeoJson(interactive);
+
+        if (this.settings.atmosphere.enabled) {
+            this.renderAtmosphere(context);
+        }
+
+        // First draw the basic sphere of the world.
+        context.beginPath();
+        path({ type: 'Sphere' });
+        context.fillStyle = this.settings.globe.fillStyle;
+        context.strokeStyle = this.settings.globe.strokeStyle;
+        context.lineWidth = this.settings.globe.strokeWidth;
+        context.stroke();
+
+        if (this.settings.globe.fillStyle !== null) {
+            context.fill();
+        }
+
+        if (this.settings.backside.enabled) {
+            this.renderBackside(context, geojson.land);
+        }
+
+        if (this.settings.graticule.enabled) {
+            context.beginPath();
+            path(this.getGraticuleGeoJson());
+            context.strokeStyle = this.settings.graticule.strokeStyle;
+            context.lineWidth = this.settings.graticule.strokeWidth;
+            context.stroke();
+        }
+
+        // Draw the outline of the continents.
+        context.beginPath();
+        path(geojson.land);
+        context.fillStyle = this.settings.land.fillStyle;
+        context.strokeStyle = this.settings.land.strokeStyle;
+        context.lineWidth = this.settings.land.strokeWidth;
+        context.fill();
+
+        if (this.settings.land.strokeWidth > 0) {
+            context.stroke();
+        }
+
+        // Fill the countries with their choropleth color and then with their own style.
+        this.fillFeatures(context, path, this.getChoroplethFeatures(geojson.countries));
+        this.fillFeatures(context, path, this.getStyledFeatures(geojson.countries));
+    }
+
+    /**
+     * The highlighted and hovered countries, which change too often to cache.
+     *
+     * @param {Object}   context
+     * @param {Function} path
+     * @param {Boolean}  interactive
+     */
+    renderHighlightLayers(context, path, interactive) {
+        this.fillFeatures(context, path, this.getHighlightFeatures());
+
+        // Cover everything outside of the focus, highlights included.
+        this.fillFeatures(context, path, this.getDimmedFeatures(this.getRenderGeoJson(interactive).countries));
+
+        // Fill the country under the pointer.
+        const hover = this.settings.hover;
+
+        if (interactive && this.hoveredCountry !== null && hover.fillStyle !== null) {
+            context.beginPath();
+            path(this.hoveredCountry);
+            context.fillStyle = hover.fillStyle;
+            context.fill();
+        }
+    }
+
+    /**
+     * The borders and shading over the highlights.
+     *
+     * @param {Object}   context
+     * @param {Function} path
+     * @param {Boolean}  interactive
+     */
+    renderAboveLayers(context, path, interactive) {
+        const geojson = this.getRenderGeoJson(interactive);
+        const subdivisions = this.getDrilledSubdivisions();
+
+        // Draw the country borders over everything.
+        context.beginPath();
+        path(geojson.borders);
+        context.strokeStyle = this.settings.borders.strokeStyle;
+        context.lineWidth = this.settings.borders.strokeWidth;
+        context.stroke();
+
+        if (subdivisions.length > 0) {
+            context.beginPath();
+
+            for (let i = 0; i < subdivisions.length; i++) {
+                path(subdivisions[i].borders);
+            }
+
+            context.strokeStyle = this.settings.subdivisions.strokeStyle;
+            context.lineWidth = this.settings.subdivisions.strokeWidth;
+            context.stroke();
+        }
+
+        // Outlines of the styled countries go over the borders.
+        this.strokeFeatures(context, path, this.getStyledFeatures(geojson.countries));
+
+        if (this.settings.shading.enabled) {
+            this.renderShading(context);
+        }
+    }
+
+    /**
+     * The hover outline, arcs and markers on top of everything.
+     *
+     * @param {Object}   context
+     * @param {Function} path
+     * @param {Boolean}  interactive
+     */
+    renderOverlayLayers(context, path, interactive) {
+        const hover = this.settings.hover;
+        this.strokeFeatures(context, path, this.getHighlightFeatures());
+        this.fillFeatures(context, path, this.getPulseFeatures());
+
+        // Outline the hovered country on top of the borders.
+        if (interactive && this.hoveredCountry !== null && hover.strokeStyle !== null) {
+            context.beginPath();
+            path(this.hoveredCountry);
+            context.strokeStyle = hover.strokeStyle;
+            context.lineWidth = hover.strokeWidth;
+            context.stroke();
+        }
+
+        if (interactive && this.focusedCountry !== null) {
+            context.beginPath();
+            path(this.focusedCountry);
+            context.strokeStyle = this.settings.accessibility.focusStrokeStyle;
+            context.lineWidth = this.settings.accessibility.focusStrokeWidth;
+            context.stroke();
+        }
+
+        this.renderArcs(context);
+        this.renderMarkers(context);
+        this.renderLabels(context);
+    }
+
+    /**
+     * @param  {Object}      country Country geojson feature.
+     * @return {Object|null} The style from the style setting.
+     */
+    getCountryStyle(country) {
+        return this.settings.style(country, this.getCountryData(country)) || null;
+    }
+
+    /**
+     * @param  {Object} country One of the highlighted countries.
+     * @return {Object}
+     */
+    getHighlightStyle(country) {
+        return country.style !== null ? country.style : { fill: country.color };
+    }
+
+    /**
+     * The choropleth fill of the countries, with the subdivisions that have data over them.
+     *
+     * Like the other feature helpers below, this decides what the canvas and
+     * the SVG export draw, fillFeatures() and toSVG() only do the drawing.
+     *
+     * @param  {Array.<Object>} countries Country features, simplified while the camera moves.
+     * @return {Array.<Object>} [{ feature, style, opacity }, ...] with a style like the style setting returns.
+     */
+    getChoroplethFeatures(countries) {
+        // Countries can still have a color without a scale, while they fade out after clearing the data.
+        const noDataFillStyle = this.colorScale !== null ? this.settings.choropleth.noDataFillStyle : null;
+        const subdivisions = this.getDrilledSubdivisions();
+        const features = [];
+
+        for (let i = 0; i < countries.length; i++) {
+            const color = this.choroplethColors[countries[i].properties.id] || noDataFillStyle;
+
+            if (color !== null) {
+                features.push({ feature: countries[i], style: { fill: color }, opacity: 1 });
+            }
+        }
+
+        for (let i = 0; i < subdivisions.length; i++) {
+            for (let j = 0; j < subdivisions[i].features.length; j++) {
+                const subdivision = subdivisions[i].features[j];
+                const color = this.choroplethColors[subdivision.properties.id];
+
+                if (color !== undefined) {
+                    features.push({ feature: subdivision, style: { fill: color }, opacity: 1 });
+                }
+            }
+        }
+
+        return features;
+    }
+
+    /**
+     * The countries with a style from the style setting.
+     *
+     * @param  {Array.<Object>} countries
+     * @return {Array.<Object>} See getChoroplethFeatures().
+     */
+    getStyledFeatures(countries) {
+        const features = [];
+
+        if (typeof this.settings.style !== 'function') {
+            return features;
+        }
+
+        for (let i = 0; i < countries.length; i++) {
+            const style = this.getCountryStyle(countries[i]);
+
+            if (style !== null) {
+                features.push({ feature: countries[i], style, opacity: 1 });
+            }
+        }
+
+        return features;
+    }
+
+    /**
+     * The highlighted countries and the ones that are still fading out, below them.
+     *
+     * @return {Array.<Object>} See getChoroplethFeatures().
+     */
+    getHighlightFeatures() {
+        return this.fadingHighlights.concat(this.highlightedCountries).map(country => ({
+            feature: country.geojson,
+            style: this.getHighlightStyle(country),
+            opacity: country.opacity
+        }));
+    }
+
+    /**
+     * All countries outside of the focus as one feature, none without a focus.
+     *
+     * @param  {Array.<Object>} countries
+     * @return {Array.<Object>} See getChoroplethFeatures().
+     */
+    getDimmedFeatures(countries) {
+        if (this.focusIds === null) {
+            return [];
+        }
+
+        return [{
+            feature: {
+                type: 'FeatureCollection',
+                features: countries.filter(country => this.focusIds[country.properties.id] !== true)
+            },
+            style: { fill: this.settings.focus.dimFillStyle },
+            opacity: 1
+        }];
+    }
+
+    /**
+     * @return {Array.<Object>} See getChoroplethFeatures().
+     */
+    getPulseFeatures() {
+        return Object.keys(this.pulses).map(id => ({
+            feature: this.pulses[id].geojson,
+            style: { fill: this.pulses[id].color },
+            opacity: this.pulses[id].opacity
+        }));
+    }
+
+    /**
+     * The fills of a style, in the order they are drawn.
+     *
+     * @param  {Object}         style
+     * @return {Array.<Object>} [{ color, pattern, opacity }, ...] with either a color or the options of a pattern.
+     */
+    getStyleFills(style) {
+        const opacity = typeof style.fillOpacity === 'number' ? style.fillOpacity : 1;
+        const fills = [];
+
+        if (style.fill !== undefined && style.fill !== null) {
+            fills.push({ color: style.fill, pattern: null, opacity });
+        }
+
+        if (style.pattern) {
+            fills.push({ color: null, pattern: this.getPatternOptions(style.pattern), opacity });
+        }
+
+        return fills;
+    }
+
+    /**
+     * @param  {Object}      style
+     * @return {Object|null} { color, width, dash }, null without a stroke.
+     */
+    getStyleStroke(style) {
+        if (!style.stroke) {
+            return null;
+        }
+
+        return {
+            color: style.stroke,
+            width: typeof style.strokeWidth === 'number' ? style.strokeWidth : 1,
+            dash: style.strokeDash || []
+        };
+    }
+
+    /**
+     * Fill features with the fills of their style.
+     *
+     * @param {Object}         context
+     * @param {Function}       path
+     * @param {Array.<Object>} features See getChoroplethFeatures().
+     */
+    fillFeatures(context, path, features) {
+        for (let i = 0; i < features.length; i++) {
+            const { feature, style, opacity } = features[i];
+            const fills = this.getStyleFills(style);
+
+            for (let j = 0; j < fills.length; j++) {
+                const fill = fills[j];
+                const fillStyle = fill.pattern !== null ? this.getCanvasPattern(context, fill.pattern) : fill.color;
+
+                if (fillStyle !== null) {
+                    context.beginPath();
+                    path(feature);
+                    context.globalAlpha = opacity * fill.opacity;
+                    context.fillStyle = fillStyle;
+                    context.fill();
+                }
+            }
+        }
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Outline features with the stroke of their style.
+     *
+     * @param {Object}         context
+     * @param {Function}       path
+     * @param {Array.<Object>} features See getChoroplethFeatures().
+     */
+    strokeFeatures(context, path, features) {
+        for (let i = 0; i < features.length; i++) {
+            const stroke = this.getStyleStroke(features[i].style);
+
+            if (stroke !== null) {
+                context.beginPath();
+                path(features[i].feature);
+                context.globalAlpha = features[i].opacity;
+                context.strokeStyle = stroke.color;
+                context.lineWidth = stroke.width;
+                context.setLineDash(stroke.dash);
+                context.stroke();
+            }
+        }
+
+        context.setLineDash([]);
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * @param  {String|Object} pattern 'hatch', 'crosshatch', 'dots' or an object with a type.
+     * @return {Object}        The pattern with the defaults of the patterns setting.
+     */
+    getPatternOptions(pattern) {
+        return Object.assign({}, this.settings.patterns, typeof pattern === 'string' ? { type: pattern } : pattern);
+    }
+
+    /**
+     * The lines and dots of one tile of a pattern.
+     *
+     * @param  {Object} options See getPatternOptions().
+     * @return {Object} { lines: [[[x, y], [x, y]], ...], dots: [[x, y], ...] } in pixels.
+     */
+    getPatternShapes(options) {
+        const size = options.spacing;
+        const half = size / 2;
+        const lines = [];
+        const dots = [];
+
+        if (options.type === 'dots') {
+            dots.push([half, half]);
+        } else {
+            // Diagonals, plus the parts of the neighbouring tiles
+            // in the corners so the lines continue across tiles.
+            lines.push(
+                [[0, size], [size, 0]],
+                [[-half, half], [half, -half]],
+                [[half, size + half], [size + half, half]]
+            );
+
+            if (options.type === 'crosshatch') {
+                lines.push(
+                    [[0, 0], [size, size]],
+                    [[-half, half], [half, size + half]],
+                    [[half, -half], [size + half, half]]
+                );
+            }
+        }
+
+        return { lines, dots };
+    }
+
+    /**
+     * Draw a tile of a pattern on a canvas and create a repeating pattern of it.
+     *
+     * @param  {Object}             context
+     * @param  {Object}             options See getPatternOptions().
+     * @return {CanvasPattern|null} null when we can't create a canvas, like headless without createCanvas.
+     */
+    getCanvasPattern(context, options) {
+        const key = JSON.stringify(options);
+
+        if (this.canvasPatterns[key] !== undefined) {
+            return this.canvasPatterns[key];
+        }
+
+        if (!this.canCreateCanvas()) {
+            return null;
+        }
+
+        const size = options.spacing;
+        const tile = this.createCanvas(size, size);
+        tile.width = size;
+        tile.height = size;
+
+        const tileContext = tile.getContext('2d');
+        const { lines, dots } = this.getPatternShapes(options);
+
+        if (options.background !== null) {
+            tileContext.fillStyle = options.background;
+            tileContext.fillRect(0, 0, size, size);
+        }
+
+        tileContext.beginPath();
+
+        for (let i = 0; i < lines.length; i++) {
+            tileContext.moveTo(...lines[i][0]);
+            tileContext.lineTo(...lines[i][1]);
+        }
+
+        tileContext.strokeStyle = options.color;
+        tileContext.lineWidth = options.lineWidth;
+        tileContext.stroke();
+
+        tileContext.beginPath();
+
+        for (let i = 0; i < dots.length; i++) {
+            tileContext.moveTo(dots[i][0] + options.radius, dots[i][1]);
+            tileContext.arc(dots[i][0], dots[i][1], options.radius, 0, 2 * Math.PI);
+        }
+
+        tileContext.fillStyle = options.color;
+        tileContext.fill();
+
+        this.canvasPatterns[key] = context.createPattern(tile, 'repeat');
+
+        return this.canvasPatterns[key];
+    }
+
+    /**
+     * Dim all countries except these, to draw the attention to them.
+     *
+     * @param {String|Array.<String>} names Countries and regions.
+     */
+    setFocus(names) {
+        names = Array.isArray(names) ? names : [names];
+
+        this.focusIds = {};
+
+        for (let i = 0; i < names.length; i++) {
+            const countries = this.getRegion(names[i]) !== undefined
+                ? this.getRegionCountries(names[i])
+                : [this.getCountryGeoJson(names[i])];
+
+            if (countries[0] === undefined) {
+                this.warnUnknownCountry(names[i], 'focus on');
+            } else {
+                for (let j = 0; j < countries.length; j++) {
+                    this.focusIds[countries[j].properties.id] = true;
+                }
+            }
+        }
+
+        this.render();
+    }
+
+    clearFocus() {
+        this.focusIds = null;
+        this.render();
+    }
+
+    /**
+     * Draw a glow around the edge of the globe.
+     *
+     * @param {Object} context
+     */
+    renderAtmosphere(context) {
+        const [x, y] = this.projection.translate();
+        const radius = this.projection.scale();
+        const outerRadius = radius * (1 + this.settings.atmosphere.width);
+
+        const gradient = context.createRadialGradient(x, y, radius, x, y, outerRadius);
+        gradient.addColorStop(0, this.settings.atmosphere.color);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+        // Only fill the ring around the globe so a transparent globe stays transparent.
+        context.beginPath();
+        context.arc(x, y, outerRadius, 0, 2 * Math.PI);
+        context.arc(x, y, radius, 0, 2 * Math.PI, true);
+        context.fillStyle = gradient;
+        context.fill();
+    }
+
+    /**
+     * Draw a radial gradient over the globe as if it is lit from one side.
+     *
+     * @param {Object} context
+     */
+    renderShading(context) {
+        const settings = this.settings.shading;
+        const [x, y] = this.projection.translate();
+        const radius = this.projection.scale();
+        const lightX = x + (settings.lightPosition[0] * radius);
+        const lightY = y + (settings.lightPosition[1] * radius);
+
+        const gradient = context.createRadialGradient(lightX, lightY, 0, lightX, lightY, radius * 2);
+        gradient.addColorStop(0, settings.highlight);
+        gradient.addColorStop(0.35, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, settings.shadow);
+
+        context.beginPath();
+        context.arc(x, y, radius, 0, 2 * Math.PI);
+        context.fillStyle = gradient;
+        context.fill();
+    }
+
+    /**
+     * Draw the land of the far hemisphere as if the globe is see-through.
+     *
+     * A projection rotated to the antipode with a flipped tilt shows the far
+     * hemisphere mirrored horizontally, so we mirror the canvas to draw it in place.
+     *
+     * @param {Object} context
+     * @param {Object} land    Geojson of the land.
+     */
+    renderBackside(context, land) {
+        const [lambda, phi, gamma] = this.projection.rotate();
+        const [x, y] = this.projection.translate();
+
+        const backProjection = geoOrthographic()
+            .rotate([lambda + 180, -phi, -gamma])
+            .scale(this.projection.scale())
+            .translate([x, y]);
+
+        context.save();
+        context.translate(2 * x, 0);
+        context.scale(-1, 1);
+        context.globalAlpha = this.settings.backside.opacity;
+
+        context.beginPath();
+        geoPath(backProjection, context)(land);
+        context.fillStyle = this.settings.backside.fillStyle || this.settings.land.fillStyle;
+        context.fill();
+
+        context.restore();
+    }
+
+    /**
+     * @return {Object} Geojson of the graticule.
+     */
+    getGraticuleGeoJson() {
+        if (this.graticuleGeoJson === null) {
+            this.graticuleGeoJson = geoGraticule().step(this.settings.graticule.step)();
+        }
+
+        return this.graticuleGeoJson;
+    }
+
+    /**
+     * Draw the arcs along the great circle between their locations.
+     *
+     * @param {Object} context
+     */
+    renderArcs(context) {
+        if (this.arcs.length === 0) {
+            return;
+        }
+
+        const dash = this.arcAnimation.dashOffset !== null ? this.settings.arcs.dash : [];
+
+        context.save();
+        context.setLineDash(dash);
+        context.lineDashOffset = -this.arcAnimation.dashOffset;
+
+        for (let i = 0; i < this.arcs.length; i++) {
+            const shape = this.getArcShape(this.arcs[i]);
+
+            if (shape.lines.length > 0) {
+                context.beginPath();
+                context.strokeStyle = shape.color;
+                context.lineWidth = shape.width;
+
+                for (let j = 0; j < shape.lines.length; j++) {
+                    const line = shape.lines[j];
+
+                    context.moveTo(line[0][0], line[0][1]);
+
+                    for (let k = 1; k < line.length; k++) {
+                        context.lineTo(line[k][0], line[k][1]);
+                    }
+                }
+
+                context.stroke();
+            }
+
+            // Draw solid even when the arc itself is dashed.
+            if (shape.arrowhead !== null) {
+                const [tip, left, right] = shape.arrowhead;
+
+                context.setLineDash([]);
+                context.beginPath();
+                context.moveTo(tip[0], tip[1]);
+                context.lineTo(left[0], left[1]);
+                context.lineTo(right[0], right[1]);
+                context.closePath();
+                context.fillStyle = shape.color;
+                context.fill();
+                context.setLineDash(dash);
+            }
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Project an arc along the great circle between its locations, lifted
+     * above the globe by its height and as far as it is drawn by animateArcs().
+     *
+     * @param  {Object} arc
+     * @return {Object} { lines, arrowhead, color, width }, the lines are split
+     *                  where the arc is hidden behind the globe.
+     */
+    getArcShape(arc) {
+        const settings = this.settings.arcs;
+        const height = typeof arc.height === 'number' ? arc.height : settings.height;
+        const width = this.getArcWidth(arc);
+        const color = arc.color || settings.strokeStyle;
+
+        // Sample the great circle, roughly every two degrees.
+        const interpolator = geoInterpolate(arc.fromCoordinates, arc.toCoordinates);
+        const distance = geoDistance(arc.fromCoordinates, arc.toCoordinates);
+        const segments = Math.max(2, Math.ceil((distance * (180 / Math.PI)) / 2));
+        const lastSegment = Math.round(segments * this.arcAnimation.progress);
+
+        const lines = [];
+        let line = null;
+
+        for (let j = 0; lastSegment > 0 && j <= lastSegment; j++) {
+            const t = j / segments;
+            const altitude = height * distance * Math.sin(Math.PI * t);
+            const point = this.projectWithAltitude(interpolator(t), altitude);
+
+            // Lift the pen for the parts hidden behind the globe.
+            if (point.visible) {
+                if (line === null) {
+                    line = [];
+                    lines.push(line);
+                }
+
+                line.push([point.x, point.y]);
+            } else {
+                line = null;
+            }
+        }
+
+        const arrowhead = settings.arrowheads && lastSegment === segments
+            ? this.getArrowhead(interpolator, segments, height * distance, width)
+            : null;
+
+        return {
+            lines,
+            arrowhead,
+            color,
+            width
+        };
+    }
+
+    /**
+     * Calculate the triangle of the arrowhead at the end of an arc.
+     *
+     * @param  {Function} interpolator Great circle interpolator of the arc.
+     * @param  {Number}   segments
+     * @param  {Number}   height       Height of the arc, 0 for a flat arc.
+     * @param  {Number}   width        Line width of the arc.
+     * @return {Array|null} [tip, left, right] as [x, y], null when the end is hidden.
+     */
+    getArrowhead(interpolator, segments, height, width) {
+        const t = (segments - 1) / segments;
+        const from = this.projectWithAltitude(interpolator(t), height * Math.sin(Math.PI * t));
+        const to = this.projectWithAltitude(interpolator(1), 0);
+
+        if (!to.visible) {
+            return null;
+        }
+
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const size = this.settings.arcs.arrowSize + width;
+
+        return [
+            [to.x, to.y],
+            [to.x - (size * Math.cos(angle - (Math.PI / 6))), to.y - (size * Math.sin(angle - (Math.PI / 6)))],
+            [to.x - (size * Math.cos(angle + (Math.PI / 6))), to.y - (size * Math.sin(angle + (Math.PI / 6)))]
+        ];
+    }
+
+    /**
+     * Project a coordinate that floats above the surface of the globe.
+     *
+     * @param  {Array.<Number>} coordinates [longitude, latitude]
+     * @param  {Number}         altitude    relative to the radius of the globe.
+     * @return {Object}         { x, y, visible }
+     */
+    projectWithAltitude(coordinates, altitude) {
+        const [lambda, phi] = geoRotation(this.projection.rotate())(coordinates).map(degrees => degrees * (Math.PI / 180));
+        const [translateX, translateY] = this.projection.translate();
+        const radius = this.projection.scale() * (1 + altitude);
+
+        const x = Math.cos(phi) * Math.sin(lambda);
+        const y = Math.sin(phi);
+        const z = Math.cos(phi) * Math.cos(lambda);
+
+        // Points on the far side are only visible when they rise above the edge of the globe.
+        const visible = z >= 0 || Math.sqrt((x * x) + (y * y)) * (1 + altitude) > 1;
+
+        return {
+            x: translateX + (radius * x),
+            y: translateY - (radius * y),
+            visible
+        };
+    }
+
+    /**
+     * Draw the markers that are on the visible side of the globe.
+     *
+     * @param {Object} context
+     */
+    renderMarkers(context) {
+        if (this.markers.length === 0) {
+            return;
+        }
+
+        const settings = this.settings.markers;
+        const markers = this.getVisibleMarkers();
+
+        for (let i = 0; i < markers.length; i++) {
+            const marker = markers[i];
+            const [x, y] = this.projection([marker.lon, marker.lat]);
+            const radius = this.getMarkerRadius(marker);
+            const icon = this.getMarkerIcon(marker);
+
+            if (icon !== null) {
+                context.drawImage(icon, x - radius, y - radius, radius * 2, radius * 2);
+            } else {
+                context.beginPath();
+                context.arc(x, y, radius, 0, 2 * Math.PI);
+                context.fillStyle = marker.color || settings.fillStyle;
+                context.fill();
+
+                if (settings.strokeWidth > 0) {
+                    context.strokeStyle = settings.strokeStyle;
+                    context.lineWidth = settings.strokeWidth;
+                    context.stroke();
+                }
+            }
+
+            if (marker.label) {
+                context.font = settings.font;
+                context.fillStyle = settings.labelFillStyle;
+                context.textBaseline = 'middle';
+                context.fillText(marker.label, x + radius + 3, y);
+            }
+        }
+    }
+
+    /**
+     * Markers on the visible side of the globe, the largest first so the
+     * small ones are drawn on top and stay visible.
+     *
+     * @return {Array.<Object>}
+     */
+    getVisibleMarkers() {
+        return this.markers
+            .filter(marker => this.isCoordinateVisible([marker.lon, marker.lat]))
+            .sort((a, b) => this.getMarkerRadius(b) - this.getMarkerRadius(a));
+    }
+
+    /**
+     * @param {Object} context
+     */
+    renderLabels(context) {
+        const labels = this.getLabelLayout();
+
+        if (labels.length === 0) {
+            return;
+        }
+
+        const settings = this.settings.labels;
+
+        context.save();
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineJoin = 'round';
+
+        for (let i = 0; i < labels.length; i++) {
+            const label = labels[i];
+
+            context.font = this.getLabelFont(label.fontSize);
+
+            if (settings.haloWidth > 0) {
+                context.strokeStyle = settings.haloStyle;
+                context.lineWidth = settings.haloWidth;
+                context.strokeText(label.text, label.x, label.y);
+            }
+
+            context.fillStyle = label.fillStyle;
+            context.fillText(label.text, label.x, label.y);
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Place the labels that are far enough from the edge of the globe, leaving
+     * out the ones that would overlap a label with a higher priority.
+     *
+     * @return {Array.<Object>} [{ text, x, y, fontSize, fillStyle }, ...] in pixels.
+     */
+    getLabelLayout() {
+        const settings = this.settings.labels;
+        const candidates = [];
+
+        // We need a context to measure the texts.
+        if (this.canvasContext === undefined) {
+            return candidates;
+        }
+
+        let countries = [];
+
+        if (settings.countries === 'all') {
+            countries = this.countriesGeoJson;
+        } else if (settings.countries === 'highlighted') {
+            countries = this.highlightedCountries.map(country => country.geojson);
+        }
+
+        for (let i = 0; i < countries.length; i++) {
+            const country = countries[i];
+
+            if (country.geometry !== null) {
+                const { point, area } = this.getLabelPoint(country);
+                const text = typeof settings.text === 'function'
+                    ? settings.text(country, this.getCountryData(country))
+                    : country.properties.name;
+
+                candidates.push({
+                    text,
+                    coordinates: point,
+                    priority: this.getLabelPriority(country, area),
+                    fontSize: settings.fontSize,
+                    fillStyle: settings.fillStyle
+                });
+            }
+        }
+
+        for (let i = 0; i < this.labels.length; i++) {
+            const label = this.labels[i];
+
+            candidates.push({
+                text: label.text,
+                coordinates: [label.lon, label.lat],
+                priority: typeof label.priority === 'number' ? label.priority : Infinity,
+                fontSize: label.fontSize || settings.fontSize,
+                fillStyle: label.color || settings.fillStyle
+            });
+        }
+
+        const [lambda, phi] = this.projection.rotate();
+        const maxDistance = (90 - settings.limbMargin) * (Math.PI / 180);
+        const { width, height } = this.holderBoundingBox;
+        const zoomScale = this.zoom ** settings.fontScale;
+        const placed = [];
+        const boxes = [];
+
+        // Compare instead of subtracting, Infinity - Infinity is NaN.
+        candidates.sort((a, b) => {
+            if (a.priority === b.priority) {
+                return 0;
+            }
+
+            return b.priority > a.priority ? 1 : -1;
+        });
+
+        for (let i = 0; i < candidates.length; i++) {
+            const label = candidates[i];
+
+            if (label.text && geoDistance(label.coordinates, [-lambda, -phi]) <= maxDistance) {
+                const [x, y] = this.projection(label.coordinates);
+                const maxFontSize = label.fontSize * (settings.maxFontSize / settings.fontSize);
+                const fontSize = Math.min(maxFontSize, label.fontSize * zoomScale);
+                const halfWidth = ((this.measureLabel(String(label.text)) * fontSize) / 2) + settings.padding;
+                const halfHeight = (fontSize / 2) + settings.padding;
+                const box = [x - halfWidth, y - halfHeight, x + halfWidth, y + halfHeight];
+
+                const fits = box[0] >= 0 && box[1] >= 0 && box[2] <= width && box[3] <= height
+                    && !boxes.some(other => box[0] < other[2] && box[2] > other[0] && box[1] < other[3] && box[3] > other[1]);
+
+                if (fits) {
+                    boxes.push(box);
+                    placed.push({
+                        text: String(label.text),
+                        x,
+                        y,
+                        fontSize,
+                        fillStyle: label.fillStyle
+                    });
+                }
+            }
+        }
+
+        return placed;
+    }
+
+    /**
+     * @param  {Object} country Country geojson feature.
+     * @return {Object} { point: [longitude, latitude], area } The area in steradians.
+     */
+    getLabelPoint(country) {
+        const id = country.properties.id;
+
+        if (this.labelPoints[id] === undefined) {
+            this.labelPoints[id] = {
+                point: labelPoint(country),
+                area: geoArea(country)
+            };
+        }
+
+        return this.labelPoints[id];
+    }
+
+    /**
+     * @param  {Object} country Country geojson feature.
+     * @param  {Number} area
+     * @return {Number} Labels with a higher priority are placed first.
+     */
+    getLabelPriority(country, area) {
+        const priority = this.settings.labels.priority;
+
+        if (typeof priority === 'function') {
+            return priority(country, this.getCountryData(country));
+        }
+
+        if (priority === 'value') {
+            const datum = this.getCountryData(country);
+            const value = datum !== undefined ? this.getChoroplethValue(datum) : undefined;
+
+            return typeof value === 'number' ? value : -Infinity;
+        }
+
+        return area;
+    }
+
+    /**
+     * @param  {Number} fontSize in pixels.
+     * @return {String} CSS font.
+     */
+    getLabelFont(fontSize) {
+        const settings = this.settings.labels;
+
+        return `${settings.fontWeight} ${fontSize}px ${settings.fontFamily}`;
+    }
+
+    /**
+     * Measure a label once, the width grows linearly with the font size.
+     *
+     * @param  {String} text
+     * @return {Number} Width in pixels at a font size of 1 pixel.
+     */
+    measureLabel(text) {
+        const key = this.getLabelFont(100) + '|' + text;
+
+        if (this.labelWidths[key] === undefined) {
+            this.canvasContext.save();
+            this.canvasContext.font = this.getLabelFont(100);
+            this.labelWidths[key] = this.canvasContext.measureText(text).width / 100;
+            this.canvasContext.restore();
+        }
+
+        return this.labelWidths[key];
+    }
+
+    /**
+     * Render the current view to a PNG image.
+     *
+     * The map is drawn again at the requested pixel density
+     * instead of scaling up the pixels of the canvas.
+     *
+     * @param  {Object}  options
+     * @param  {Number}  options.scale      Pixel density relative to the canvas.
+     * @param  {String}  options.background Null keeps it transparent.
+     * @param  {String}  options.type       'blob' or 'dataURL'.
+     * @return {Promise} Resolves with a Blob or a data URL.
+     */
+    toPNG(options = {}) {
+        const settings = Object.assign({}, this.settings.export, options);
+        const { width, height } = this.holderBoundingBox;
+
+        if (!this.canCreateCanvas()) {
+            return Promise.reject(new Error('Set headless.createCanvas to export a PNG without a page.'));
+        }
+
+        const canvas = this.createCanvas(width, height);
+        canvas.width = Math.round(width * settings.scale);
+        canvas.height = Math.round(height * settings.scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(settings.scale, settings.scale);
+
+        if (settings.background !== null) {
+            context.fillStyle = settings.background;
+            context.fillRect(0, 0, width, height);
+        }
+
+        this.renderLayers(context, geoPath(this.projection, context), false);
+
+        if (settings.type === 'dataURL') {
+            return Promise.resolve(canvas.toDataURL('image/png'));
+        }
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    /**
+     * Render the current view to an SVG document with the same layers as the canvas.
+     *
+     * @param  {Object} options
+     * @param  {String} options.background Null keeps it transparent.
+     * @return {String}
+     */
+    toSVG(options = {}) {
+        const settings = Object.assign({}, this.settings.export, options);
+        const { width, height } = this.holderBoundingBox;
+        const [x, y] = this.projection.translate();
+        const radius = this.projection.scale();
+
+        // Without a context geoPath returns the d attribute of an SVG path.
+        const path = geoPath(this.projection);
+
+        const defs = [];
+        const layers = [];
+
+        // Returns nothing when the geojson is on the far side of the globe.
+        const addPath = (geojson, attributes) => {
+            const d = path(geojson);
+
+            if (d !== null) {
+                layers.push(svgElement('path', Object.assign({ d }, attributes)));
+            }
+        };
+
+        const circle = r => `M${x - r},${y}A${r},${r} 0 1,1 ${x + r},${y}A${r},${r} 0 1,1 ${x - r},${y}Z`;
+
+        // Ids of the pattern definitions by their options.
+        const patternIds = {};
+
+        const getPatternId = patternOptions => {
+            const key = JSON.stringify(patternOptions);
+
+            if (patternIds[key] === undefined) {
+                const size = patternOptions.spacing;
+                const { lines, dots } = this.getPatternShapes(patternOptions);
+                const children = [];
+
+                if (patternOptions.background !== null) {
+                    children.push(svgElement('rect', { width: size, height: size, fill: patternOptions.background }));
+                }
+
+                if (lines.length > 0) {
+                    children.push(svgElement('path', {
+                        d: lines.map(line => svgLine(line)).join(''),
+                        stroke: patternOptions.color,
+                        'stroke-width': patternOptions.lineWidth
+                    }));
+                }
+
+                for (let i = 0; i < dots.length; i++) {
+                    children.push(svgElement('circle', {
+                        cx: dots[i][0],
+                        cy: dots[i][1],
+                        r: patternOptions.radius,
+                        fill: patternOptions.color
+                    }));
+                }
+
+                patternIds[key] = 'globemap-pattern-' + Object.keys(patternIds).length;
+
+                defs.push(svgElement('pattern', {
+                    id: patternIds[key],
+                    patternUnits: 'userSpaceOnUse',
+                    width: size,
+                    height: size
+                }, children));
+            }
+
+            return patternIds[key];
+        };
+
+        // Draw the features of the helpers shared with the canvas, like fillFeatures() and strokeFeatures().
+        const opacityAttribute = opacity => (opacity < 1 ? opacity : null);
+
+        const addFills = features => {
+            for (let i = 0; i < features.length; i++) {
+                const { feature, style, opacity } = features[i];
+                const fills = this.getStyleFills(style);
+
+                for (let j = 0; j < fills.length; j++) {
+                    addPath(feature, {
+                        fill: fills[j].pattern !== null ? `url(#${getPatternId(fills[j].pattern)})` : fills[j].color,
+                        opacity: opacityAttribute(opacity * fills[j].opacity)
+                    });
+                }
+            }
+        };
+
+        const addStrokes = features => {
+            for (let i = 0; i < features.length; i++) {
+                const stroke = this.getStyleStroke(features[i].style);
+
+                if (stroke !== null) {
+                    addPath(features[i].feature, {
+                        fill: 'none',
+                        stroke: stroke.color,
+                        'stroke-width': stroke.width,
+                        'stroke-dasharray': stroke.dash.length > 0 ? stroke.dash.join(' ') : null,
+                        opacity: opacityAttribute(features[i].opacity)
+                    });
+                }
+            }
+        };
+
+        const styledFeatures = this.getStyledFeatures(this.countriesGeoJson);
+        const highlightFeatures = this.getHighlightFeatures();
+
+        if (settings.background !== null) {
+            layers.push(svgElement('rect', { width, height, fill: settings.background }));
+        }
+
+        if (this.settings.atmosphere.enabled) {
+            const outerRadius = radius * (1 + this.settings.atmosphere.width);
+
+            defs.push(svgElement('radialGradient', {
+                id: 'globemap-atmosphere',
+                gradientUnits: 'userSpaceOnUse',
+                cx: x,
+                cy: y,
+                r: outerRadius
+            }, [
+                svgElement('stop', { offset: radius / outerRadius, 'stop-color': this.settings.atmosphere.color }),
+                svgElement('stop', { offset: 1, 'stop-color': 'rgba(0, 0, 0, 0)' })
+            ]));
+
+            layers.push(svgElement('path', {
+                d: circle(outerRadius) + circle(radius),
+                fill: 'url(#globemap-atmosphere)',
+                'fill-rule': 'evenodd'
+            }));
+        }
+
+        addPath({ type: 'Sphere' }, {
+            fill: this.settings.globe.fillStyle || 'none',
+            stroke: this.settings.globe.strokeStyle,
+            'stroke-width': this.settings.globe.strokeWidth
+        });
+
+        if (this.settings.backside.enabled) {
+            const [lambda, phi, gamma] = this.projection.rotate();
+            const backPath = geoPath(geoOrthographic()
+                .rotate([lambda + 180, -phi, -gamma])
+                .scale(radius)
+                .translate([x, y]));
+            const d = backPath(this.landGeoJson);
+
+            // Mirrored like in renderBackside().
+            if (d !== null) {
+                layers.push(svgElement('path', {
+                    d,
+                    transform: `translate(${2 * x}, 0) scale(-1, 1)`,
+                    fill: this.settings.backside.fillStyle || this.settings.land.fillStyle,
+                    opacity: this.settings.backside.opacity
+                }));
+            }
+        }
+
+        if (this.settings.graticule.enabled) {
+            addPath(this.getGraticuleGeoJson(), {
+                fill: 'none',
+                stroke: this.settings.graticule.strokeStyle,
+                'stroke-width': this.settings.graticule.strokeWidth
+            });
+        }
+
+        addPath(this.landGeoJson, {
+            fill: this.settings.land.fillStyle,
+            stroke: this.settings.land.strokeWidth > 0 ? this.settings.land.strokeStyle : null,
+            'stroke-width': this.settings.land.strokeWidth > 0 ? this.settings.land.strokeWidth : null
+        });
+
+        addFills(this.getChoroplethFeatures(this.countriesGeoJson));
+        addFills(styledFeatures);
+        addFills(highlightFeatures);
+        addFills(this.getDimmedFeatures(this.countriesGeoJson));
+
+        addPath(this.bordersGeoJson, {
+            fill: 'none',
+            stroke: this.settings.borders.strokeStyle,
+            'stroke-width': this.settings.borders.strokeWidth
+        });
+
+        const subdivisions = this.getDrilledSubdivisions();
+
+        for (let i = 0; i < subdivisions.length; i++) {
+            addPath(subdivisions[i].borders, {
+                fill: 'none',
+                stroke: this.settings.subdivisions.strokeStyle,
+                'stroke-width': this.settings.subdivisions.strokeWidth
+            });
+        }
+
+        addStrokes(styledFeatures);
+
+        if (this.settings.shading.enabled) {
+            const shading = this.settings.shading;
+
+            defs.push(svgElement('radialGradient', {
+                id: 'globemap-shading',
+                gradientUnits: 'userSpaceOnUse',
+                cx: x + (shading.lightPosition[0] * radius),
+                cy: y + (shading.lightPosition[1] * radius),
+                r: radius * 2
+            }, [
+                svgElement('stop', { offset: 0, 'stop-color': shading.highlight }),
+                svgElement('stop', { offset: 0.35, 'stop-color': 'rgba(0, 0, 0, 0)' }),
+                svgElement('stop', { offset: 1, 'stop-color': shading.shadow })
+            ]));
+
+            layers.push(svgElement('circle', {
+                cx: x,
+                cy: y,
+                r: radius,
+                fill: 'url(#globemap-shading)'
+            }));
+        }
+
+        addStrokes(highlightFeatures);
+        addFills(this.getPulseFeatures());
+
+        for (let i = 0; i < this.arcs.length; i++) {
+            const shape = this.getArcShape(this.arcs[i]);
+
+            if (shape.lines.length > 0) {
+                layers.push(svgElement('path', {
+                    d: shape.lines.map(line => svgLine(line)).join(''),
+                    fill: 'none',
+                    stroke: shape.color,
+                    'stroke-width': shape.width,
+                    'stroke-dasharray': this.arcAnimation.dashOffset !== null ? this.settings.arcs.dash.join(' ') : null,
+                    'stroke-dashoffset': this.arcAnimation.dashOffset !== null ? -this.arcAnimation.dashOffset : null
+                }));
+            }
+
+            if (shape.arrowhead !== null) {
+                layers.push(svgElement('path', { d: svgLine(shape.arrowhead, true), fill: shape.color }));
+            }
+        }
+
+        const markerSettings = this.settings.markers;
+        const markers = this.getVisibleMarkers();
+
+        for (let i = 0; i < markers.length; i++) {
+            const marker = markers[i];
+            const [markerX, markerY] = this.projection([marker.lon, marker.lat]);
+            const markerRadius = this.getMarkerRadius(marker);
+
+            if (marker.icon) {
+                layers.push(svgElement('image', {
+                    href: typeof marker.icon === 'string' ? marker.icon : marker.icon.src,
+                    x: markerX - markerRadius,
+                    y: markerY - markerRadius,
+                    width: markerRadius * 2,
+                    height: markerRadius * 2
+                }));
+            } else {
+                layers.push(svgElement('circle', {
+                    cx: markerX,
+                    cy: markerY,
+                    r: markerRadius,
+                    fill: marker.color || markerSettings.fillStyle,
+                    stroke: markerSettings.strokeWidth > 0 ? markerSettings.strokeStyle : null,
+                    'stroke-width': markerSettings.strokeWidth > 0 ? markerSettings.strokeWidth : null
+                }));
+            }
+
+            if (marker.label) {
+                layers.push(svgElement('text', {
+                    x: markerX + markerRadius + 3,
+                    y: markerY,
+                    fill: markerSettings.labelFillStyle,
+                    style: 'font: ' + markerSettings.font,
+                    'dominant-baseline': 'middle'
+                }, escapeXml(marker.label)));
+            }
+        }
+
+        const labelSettings = this.settings.labels;
+        const labels = this.getLabelLayout();
+
+        for (let i = 0; i < labels.length; i++) {
+            const label = labels[i];
+
+            layers.push(svgElement('text', {
+                x: label.x,
+                y: label.y,
+                fill: label.fillStyle,
+                stroke: labelSettings.haloWidth > 0 ? labelSettings.haloStyle : null,
+                'stroke-width': labelSettings.haloWidth > 0 ? labelSettings.haloWidth : null,
+                'stroke-linejoin': labelSettings.haloWidth > 0 ? 'round' : null,
+                'paint-order': 'stroke',
+                style: 'font: ' + this.getLabelFont(label.fontSize),
+                'text-anchor': 'middle',
+                'dominant-baseline': 'middle'
+            }, escapeXml(label.text)));
+        }
+
+        if (defs.length > 0) {
+            layers.unshift(svgElement('defs', {}, defs));
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + svgElement('svg', {
+            xmlns: 'http://www.w3.org/2000/svg',
+            width,
+            height,
+            viewBox: `0 0 ${width} ${height}`
+        }, layers);
+    }
+
+    /**
+     * Setup all required layers.
+     */
+    setupLayers() {
+        if (this.headless) {
+            this.canvasContext = this.settings.headless.context;
+            this.updateCanvasSize();
+            return;
+        }
+
+        this.layers.canvas = select(this.holder).append('canvas')
+            .style('display', 'block');
+
+        this.canvasContext = this.layers.canvas.node().getContext('2d');
+
+        this.updateCanvasSize();
+    }
+
+    /**
+     * Size the backing store of the canvas to the holder times the pixel ratio,
+     * while we keep drawing in CSS pixels.
+     */
+    updateCanvasSize() {
+        const { width, height } = this.holderBoundingBox;
+
+        this.pixelRatio = this.getPixelRatio();
+
+        // The canvas of a headless context is sized by whoever created it.
+        if (this.layers.canvas !== null) {
+            this.layers.canvas
+                .attr('width', Math.round(width * this.pixelRatio))
+                .attr('height', Math.round(height * this.pixelRatio))
+                .style('width', width + 'px')
+                .style('height', height + 'px');
+        }
+
+        // Changing the size of the canvas resets its transform.
+        this.canvasContext.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    /**
+     * @return {Number}
+     */
+    getPixelRatio() {
+        if (typeof this.settings.pixelRatio === 'number') {
+            return this.settings.pixelRatio;
+        }
+
+        if (this.headless) {
+            return 1;
+        }
+
+        return window.devicePixelRatio || 1;
+    }
+
+    /**
+     * @return {Object} { width, height } of the holder, or from the settings when headless.
+     */
+    measureHolder() {
+        if (this.headless) {
+            const { width, height } = this.settings.headless;
+
+            return { width, height };
+        }
+
+        return this.holder.getBoundingClientRect();
+    }
+
+    /**
+     * Resize the globe with its holder, also when only the holder
+     * changes size and not the window, like in flex layouts and tabs.
+     * Moving the window to a screen with another pixel ratio redraws it sharp.
+     */
+    observeResize() {
+        const onResize = () => {
+            const { width, height } = this.measureHolder();
+
+            // The observer is also called once when it starts observing.
+            if (width !== this.holderBoundingBox.width
+                || height !== this.holderBoundingBox.height
+                || this.getPixelRatio() !== this.pixelRatio
+            ) {
+                this.resize();
+            }
+        };
+
+        if (typeof window.ResizeObserver === 'function') {
+            this.resizeObserver = new window.ResizeObserver(onResize);
+            this.resizeObserver.observe(this.holder);
+        } else {
+            this.listen(window, 'resize', debounce(onResize, 200));
+        }
+
+        this.observePixelRatio();
+    }
+
+    /**
+     * Update the canvas size when the pixel ratio changes, for example when zooming the page.
+     * A resolution query only matches one ratio, so we register again for every new one.
+     */
+    observePixelRatio() {
+        const view = this.document.defaultView;
+
+        if (typeof view.matchMedia !== 'function') {
+            return;
+        }
+
+        const query = view.matchMedia(`(resolution: ${view.devicePixelRatio}dppx)`);
+
+        const onChange = () => {
+            query.removeEventListener('change', onChange);
+            this.listeners = this.listeners.filter(listener => listener.handler !== onChange);
+
+            if (this.getPixelRatio() !== this.pixelRatio) {
+                this.updateCanvasSize();
+                this.render();
+            }
+
+            this.observePixelRatio();
+        };
+
+        this.listen(query, 'change', onChange);
+    }
+
+    /**
+     * Register the pointer listeners for dragging, wheel zoom and pinching.
+     *
+     * Depends on setupLayers().
+     */
+    setupInteraction() {
+        const canvas = this.layers.canvas.node();
+        const settings = this.settings.interaction;
+
+        if (settings.drag || settings.pinchZoom) {
+            // Stop the browser from scrolling the page while we handle touches.
+            canvas.style.touchAction = 'none';
+        }
+
+        // Always listen to the pointer because hover and click events also depend on it.
+        this.listen(canvas, 'pointerdown', this.onPointerDown.bind(this));
+        this.listen(canvas, 'pointermove', this.onPointerMove.bind(this));
+        this.listen(canvas, 'pointerup', this.onPointerUp.bind(this));
+        this.listen(canvas, 'pointercancel', this.onPointerUp.bind(this));
+        this.listen(canvas, 'pointerleave', this.onPointerLeave.bind(this));
+
+        if (settings.wheelZoom) {
+            // Not passive because we need to prevent the page from scrolling.
+            this.listen(canvas, 'wheel', this.onWheel.bind(this), { passive: false });
+        }
+
+        // Checks the accessibility settings itself, so they can be changed later.
+        this.listen(canvas, 'keydown', this.onKeyDown.bind(this));
+        this.listen(canvas, 'blur', () => this.setFocusedCountry(null));
+    }
+
+    /**
+     * Depends on setupLayers().
+     */
+    setupLegend() {
+        if (this.settings.legend.enabled !== true || this.headless) {
+            return;
+        }
+
+        this.legend = new Legend(this.document, this.holder, this.settings.legend);
+
+        // Data might have been set before initializing.
+        this.updateLegend();
+    }
+
+    removeLegend() {
+        if (this.legend !== null) {
+            this.legend.destroy();
+            this.legend = null;
+        }
+    }
+
+    /**
+     * Create the tooltip and show it for the hovered (or tapped) country.
+     *
+     * Depends on setupLayers().
+     */
+    setupTooltip() {
+        if (this.settings.tooltip.enabled !== true || this.headless) {
+            return;
+        }
+
+        this.tooltip = new Tooltip(this.document, this.holder, this.settings.tooltip);
+
+        this.tooltipHandlers = [
+            ['countryhover', event => {
+                // Hidden while the camera moves, settleCamera() shows it again.
+                if (!this.isCameraAnimating()) {
+                    this.tooltip.show(this.formatTooltip(event.feature), event.x, event.y);
+                }
+            }],
+            ['countryleave', () => this.tooltip.hide()]
+        ];
+
+        for (let i = 0; i < this.tooltipHandlers.length; i++) {
+            this.on(...this.tooltipHandlers[i]);
+        }
+    }
+
+    removeTooltip() {
+        for (let i = 0; i < this.tooltipHandlers.length; i++) {
+            this.off(...this.tooltipHandlers[i]);
+        }
+
+        this.tooltipHandlers = [];
+
+        if (this.tooltip !== null) {
+            this.tooltip.destroy();
+            this.tooltip = null;
+        }
+    }
+
+    /**
+     * Make the canvas focusable and add the elements for screen readers.
+     *
+     * Depends on setupLayers().
+     */
+    setupAccessibility() {
+        const settings = this.settings.accessibility;
+
+        if (settings.enabled !== true || this.headless) {
+            return;
+        }
+
+        this.accessibility = new Accessibility(this.document, this.holder, settings, this.transitionName);
+
+        const canvas = this.layers.canvas
+            .attr('aria-label', settings.label)
+            .attr('aria-describedby', this.accessibility.instructions.id);
+
+        // The application role passes the arrow keys on to us instead of the screen reader.
+        if (settings.keyboard) {
+            canvas.attr('tabindex', 0).attr('role', 'application');
+        } else {
+            canvas.attr('role', 'img');
+        }
+
+        this.scheduleAnnouncement = debounce(() => this.announceView(), 250);
+        this.accessibleTableKey = null;
+        this.updateAccessibleTable();
+    }
+
+    removeAccessibility() {
+        if (this.accessibility === null) {
+            return;
+        }
+
+        this.scheduleAnnouncement.clear();
+        this.scheduleAnnouncement = null;
+
+        this.accessibility.destroy();
+        this.accessibility = null;
+
+        this.setFocusedCountry(null);
+
+        this.layers.canvas
+            .attr('aria-label', null)
+            .attr('aria-describedby', null)
+            .attr('tabindex', null)
+            .attr('role', null);
+    }
+
+    /**
+     * Describe the current view, like "Zoomed on Europe; 39 countries highlighted".
+     *
+     * @return {String}
+     */
+    describeView() {
+        const view = this.getView();
+        let name = null;
+
+        // Only while we are still where a zoom on a country or region took us.
+        if (this.zoomedGeoJson !== undefined) {
+            if (this.zoomedRegion !== undefined) {
+                name = this.zoomedRegion.replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+            } else if (this.zoomedCountry !== undefined) {
+                const country = this.getCountryGeoJson(this.zoomedCountry);
+                name = country !== undefined ? country.properties.name : null;
+            }
+        }
+
+        const highlighted = this.highlightedCountries.length;
+        const describe = this.settings.accessibility.describeView;
+
+        if (typeof describe === 'function') {
+            return describe(Object.assign(view, { name, highlighted }));
+        }
+
+        const parts = [];
+
+        if (name !== null) {
+            parts.push(`Zoomed on ${name}`);
+        } else {
+            const [longitude, latitude] = view.center;
+            const latitudeText = Math.abs(Math.round(latitude)) + '°' + (latitude < 0 ? 'S' : 'N');
+            const longitudeText = Math.abs(Math.round(longitude)) + '°' + (longitude < 0 ? 'W' : 'E');
+
+            parts.push(`Centered on ${latitudeText} ${longitudeText}, zoom ${Math.round(view.zoom * 10) / 10}`);
+        }
+
+        if (highlighted > 0) {
+            parts.push(`${highlighted} ${highlighted === 1 ? 'country' : 'countries'} highlighted`);
+        }
+
+        return parts.join('; ');
+    }
+
+    announceView() {
+        if (this.accessibility !== null && this.settings.accessibility.announce) {
+            this.accessibility.announce(this.describeView());
+        }
+    }
+
+    /**
+     * Keep the table of highlighted countries in sync with the highlights and the data.
+     */
+    updateAccessibleTable() {
+        if (this.accessibility === null) {
+            return;
+        }
+
+        const rows = this.highlightedCountries.map(country => ({
+            name: country.geojson.properties.name,
+            value: this.getHighlightValue(country)
+        }));
+
+        const key = JSON.stringify(rows);
+
+        if (key === this.accessibleTableKey) {
+            return;
+        }
+
+        this.accessibleTableKey = key;
+        this.accessibility.updateTable(rows);
+
+        // The focused country might no longer be highlighted.
+        if (this.focusedCountry !== null && this.getFocusedIndex() === -1) {
+            this.setFocusedCountry(null);
+        }
+    }
+
+    /**
+     * @param  {Object} country One of the highlighted countries.
+     * @return {*}      The value of the data bound to it, undefined when there is none.
+     */
+    getHighlightValue(country) {
+        const datum = this.countryData[country.id];
+
+        return datum !== undefined ? this.getChoroplethValue(datum) : undefined;
+    }
+
+    /**
+     * @param  {Object} country Country geojson feature.
+     * @return {String}
+     */
+    formatTooltip(country) {
+        const formatter = this.settings.tooltip.formatter;
+
+        if (typeof formatter === 'function') {
+            return formatter(country, this.getCountryData(country));
+        }
+
+        // Names come from our own atlas but escape them anyway since they end up as html.
+        return country.properties.name
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * @param  {Object} country Country geojson feature.
+     * @return {*}      Data bound to the country, undefined when there is none.
+     */
+    getCountryData(country) {
+        return this.countryData[country.properties.id];
+    }
+
+    /**
+     * Hide the tooltip, for example because the globe moves away underneath it.
+     */
+    hideTooltip() {
+        if (this.tooltip !== null) {
+            this.tooltip.hide();
+        }
+    }
+
+    /**
+     * Add an event listener and remember it so it can be removed later.
+     *
+     * @param {Object}   target
+     * @param {String}   type
+     * @param {Function} handler
+     * @param {Object}   options
+     */
+    listen(target, type, handler, options = false) {
+        target.addEventListener(type, handler, options);
+
+        this.listeners.push({
+            target,
+            type,
+            handler,
+            options
+        });
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerDown(event) {
+        const pointers = this.gesture.pointers;
+        const { drag, pinchZoom } = this.settings.interaction;
+
+        if (Object.keys(pointers).length === 0) {
+            this.gesture.downPosition = [event.clientX, event.clientY];
+            this.gesture.moved = false;
+        }
+
+        if (!drag && !pinchZoom) {
+            return;
+        }
+
+        // The user grabbed the globe so whatever was moving it has to stop.
+        this.interruptTransitions();
+        this.stopInertia();
+        this.pauseRotation();
+
+        event.target.setPointerCapture(event.pointerId);
+        pointers[event.pointerId] = [event.clientX, event.clientY];
+
+        const ids = Object.keys(pointers);
+
+        if (ids.length === 2 && this.settings.interaction.pinchZoom) {
+            this.gesture.pinchStartDistance = this.getPinchDistance();
+            this.gesture.pinchStartZoom = this.zoom;
+        }
+
+        this.gesture.velocity = [0, 0];
+        this.gesture.lastMoveTime = Date.now();
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerMove(event) {
+        const pointers = this.gesture.pointers;
+        const previous = pointers[event.pointerId];
+        const downPosition = this.gesture.downPosition;
+
+        if (event.pointerType === 'mouse') {
+            this.lastPointerEvent = event;
+        }
+
+        if (downPosition !== null) {
+            const distance = Math.abs(event.clientX - downPosition[0]) + Math.abs(event.clientY - downPosition[1]);
+
+            if (distance > 4) {
+                this.gesture.moved = true;
+            }
+        }
+
+        if (previous === undefined) {
+            // Nothing is being dragged so this is just hovering.
+            if (event.pointerType === 'mouse') {
+                this.updateHoveredCountry(event);
+            }
+
+            return;
+        }
+
+        pointers[event.pointerId] = [event.clientX, event.clientY];
+
+        const ids = Object.keys(pointers);
+
+        if (ids.length === 1 && this.settings.interaction.drag) {
+            this.rotateBy(event.clientX - previous[0], event.clientY - previous[1]);
+        } else if (ids.length === 2 && this.settings.interaction.pinchZoom && this.gesture.pinchStartDistance > 0) {
+            const scale = this.getPinchDistance() / this.gesture.pinchStartDistance;
+
+            this.zoomTo(this.gesture.pinchStartZoom * scale);
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerUp(event) {
+        const pointers = this.gesture.pointers;
+
+        if (event.type === 'pointerup' && this.gesture.downPosition !== null && this.gesture.moved === false && Object.keys(pointers).length <= 1) {
+            this.onClick(event);
+        }
+
+        if (Object.keys(pointers).length <= 1) {
+            this.gesture.downPosition = null;
+        }
+
+        if (pointers[event.pointerId] === undefined) {
+            return;
+        }
+
+        delete pointers[event.pointerId];
+
+        const ids = Object.keys(pointers);
+
+        if (ids.length === 0) {
+            // Only keep spinning when the pointer was still moving on release.
+            if (this.settings.interaction.inertia && Date.now() - this.gesture.lastMoveTime < 50) {
+                this.startInertia();
+            }
+        } else {
+            // Going from a pinch back to a drag, reset the pinch so
+            // a new second finger starts a fresh gesture.
+            this.gesture.pinchStartDistance = 0;
+            this.gesture.velocity = [0, 0];
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerLeave(event) {
+        this.lastPointerEvent = null;
+
+        if (this.hoveredCountry !== null) {
+            this.setHoveredCountry(null, event);
+        }
+
+        if (this.hoveredMarker !== null) {
+            this.setHoveredMarker(null, event);
+        }
+    }
+
+    /**
+     * A pointer went down and up again without moving.
+     *
+     * @param {PointerEvent} event
+     */
+    onClick(event) {
+        const [x, y] = this.getPointerPosition(event);
+        const marker = this.getMarkerAt(x, y);
+
+        // Markers are drawn on top of the countries so they get the click.
+        if (marker !== null) {
+            if (event.pointerType !== 'mouse') {
+                this.setHoveredMarker(marker, event);
+            }
+
+            this.emit('markerclick', this.createMarkerEvent(marker, event));
+            return;
+        }
+
+        const country = this.getCountryAt(x, y);
+
+        // Touch devices don't hover so we treat the tap as one.
+        if (event.pointerType !== 'mouse') {
+            this.setHoveredCountry(country, event);
+        }
+
+        if (country !== null) {
+            this.emit('countryclick', this.createCountryEvent(country, event));
+        }
+    }
+
+    /**
+     * @param {WheelEvent} event
+     */
+    onWheel(event) {
+        event.preventDefault();
+
+        this.interruptTransitions();
+        this.stopInertia();
+        this.pauseRotation();
+
+        // Line and page based scrolling is a lot coarser than pixel scrolling.
+        let delta = event.deltaY;
+
+        if (event.deltaMode === 1) {
+            delta *= 20;
+        } else if (event.deltaMode === 2) {
+            delta *= 400;
+        }
+
+        this.zoomTo(this.zoom * (2 ** (-delta * 0.002)));
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     */
+    onKeyDown(event) {
+        const settings = this.settings.accessibility;
+
+        if (!settings.enabled || !settings.keyboard || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+
+        // Smaller steps when zoomed in, so the land moves about the same distance.
+        const step = settings.rotateStep / this.zoom;
+
+        switch (event.key) {
+        case 'ArrowLeft':
+            this.moveWithKeyboard(() => this.applyRotationDelta(step, 0));
+            break;
+
+        case 'ArrowRight':
+            this.moveWithKeyboard(() => this.applyRotationDelta(-step, 0));
+            break;
+
+        case 'ArrowUp':
+            this.moveWithKeyboard(() => this.applyRotationDelta(0, -step));
+            break;
+
+        case 'ArrowDown':
+            this.moveWithKeyboard(() => this.applyRotationDelta(0, step));
+            break;
+
+        case '+':
+        case '=':
+            this.moveWithKeyboard(() => this.zoomTo(this.zoom * settings.zoomStep));
+            break;
+
+        case '-':
+        case '_':
+            this.moveWithKeyboard(() => this.zoomTo(this.zoom / settings.zoomStep));
+            break;
+
+        case 'Tab':
+            // Past the first or last country the focus leaves the globe as usual.
+            if (!this.focusNextCountry(event.shiftKey ? -1 : 1)) {
+                return;
+            }
+            break;
+
+        case 'Enter':
+            if (this.focusedCountry === null) {
+                return;
+            }
+
+            this.selectFocusedCountry(event);
+            break;
+
+        case 'Escape':
+            if (this.focusedCountry === null) {
+                return;
+            }
+
+            this.setFocusedCountry(null);
+            break;
+
+        default:
+            return;
+        }
+
+        event.preventDefault();
+    }
+
+    /**
+     * @param {Function} move Changes the projection.
+     */
+    moveWithKeyboard(move) {
+        this.interruptTransitions();
+        this.stopInertia();
+        this.pauseRotation();
+
+        move();
+    }
+
+    /**
+     * Focus the next or previous highlighted country.
+     *
+     * @param  {Number}  direction 1 or -1.
+     * @return {Boolean} false when there is no next country.
+     */
+    focusNextCountry(direction) {
+        const countries = this.highlightedCountries;
+        const index = this.getFocusedIndex();
+        let next = index + direction;
+
+        if (index === -1) {
+            next = direction > 0 ? 0 : countries.length - 1;
+        }
+
+        if (next < 0 || next >= countries.length) {
+            this.setFocusedCountry(null);
+            return false;
+        }
+
+        this.setFocusedCountry(countries[next].geojson);
+
+        return true;
+    }
+
+    /**
+     * @return {Number} Index of the focused country in the highlighted countries, -1 when none is.
+     */
+    getFocusedIndex() {
+        if (this.focusedCountry === null) {
+            return -1;
+        }
+
+        const id = this.focusedCountry.properties.id;
+
+        for (let i = 0; i < this.highlightedCountries.length; i++) {
+            if (this.highlightedCountries[i].id === id) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Outline a country, announce it and turn the globe to it when it is on the back.
+     *
+     * @param {Object|null} country Country geojson feature.
+     */
+    setFocusedCountry(country) {
+        if (country === this.focusedCountry) {
+            return;
+        }
+
+        this.focusedCountry = country;
+        this.render();
+
+        if (country === null) {
+            return;
+        }
+
+        const centroid = geoCentroid(country);
+        let visible = this.isCoordinateVisible(centroid);
+
+        // When zoomed in, countries on this side of the globe can still be outside of the canvas.
+        if (visible) {
+            const [x, y] = this.projection(centroid);
+            visible = x >= 0 && y >= 0 && x <= this.holderBoundingBox.width && y <= this.holderBoundingBox.height;
+        }
+
+        if (!visible) {
+            this.centerOnCountry(country.properties.id);
+        }
+
+        if (this.accessibility !== null) {
+            const index = this.getFocusedIndex();
+            const value = this.getHighlightValue(this.highlightedCountries[index]);
+
+            this.accessibility.announce(`${country.properties.name}, ${this.accessibility.format(value)}`
+                + ` (${index + 1} of ${this.highlightedCountries.length})`);
+        }
+    }
+
+    /**
+     * Emit a click on the focused country, like clicking it with the pointer.
+     *
+     * @param {KeyboardEvent} event
+     */
+    selectFocusedCountry(event) {
+        const country = this.focusedCountry;
+        const coordinates = geoCentroid(country);
+        const [x, y] = this.projection(coordinates);
+
+        this.emit('countryclick', {
+            properties: country.properties,
+            feature: country,
+            x,
+            y,
+            coordinates,
+            originalEvent: event
+        });
+    }
+
+    /**
+     * @return {Number} Distance in pixels between the two active pointers.
+     */
+    getPinchDistance() {
+        const pointers = this.gesture.pointers;
+        const ids = Object.keys(pointers);
+        const [x1, y1] = pointers[ids[0]];
+        const [x2, y2] = pointers[ids[1]];
+
+        return Math.sqrt(((x2 - x1) ** 2) + ((y2 - y1) ** 2));
+    }
+
+    /**
+     * Rotate the globe by a distance in pixels.
+     *
+     * @param {Number} dx
+     * @param {Number} dy
+     */
+    rotateBy(dx, dy) {
+        const now = Date.now();
+        const elapsed = Math.max(now - this.gesture.lastMoveTime, 1);
+
+        // Translate pixels into degrees so the land under the
+        // pointer roughly follows it in the center of the globe.
+        const degreesPerPixel = 180 / (Math.PI * this.projection.scale());
+        const deltaLambda = dx * degreesPerPixel;
+        const deltaPhi = -dy * degreesPerPixel;
+
+        this.gesture.velocity = [deltaLambda / elapsed, deltaPhi / elapsed];
+        this.gesture.lastMoveTime = now;
+
+        this.applyRotationDelta(deltaLambda, deltaPhi);
+    }
+
+    /**
+     * @param {Number} deltaLambda in degrees.
+     * @param {Number} deltaPhi    in degrees.
+     */
+    applyRotationDelta(deltaLambda, deltaPhi) {
+        const [lambda, phi, gamma] = this.projection.rotate();
+
+        // Don't allow flipping the globe over the poles.
+        const newPhi = Math.max(-90, Math.min(90, phi + deltaPhi));
+
+        this.projection.rotate([lambda + deltaLambda, newPhi, gamma]);
+
+        // We are no longer centered on a country.
+        this.zoomedCountry = undefined;
+        this.zoomedRegion = undefined;
+        this.zoomedGeoJson = undefined;
+        this.zoomedCenter = undefined;
+
+        this.hideTooltip();
+
+        this.viewChanged();
+    }
+
+    /**
+     * Set the zoom level immediately, clamped to the interaction limits.
+     *
+     * @param {Number} zoom
+     */
+    zoomTo(zoom) {
+        const { minZoom, maxZoom } = this.settings.interaction;
+
+        this.zoom = Math.max(minZoom, Math.min(maxZoom, zoom));
+        this.projection.scale(this.baseProjectionScale * this.zoom);
+
+        this.hideTooltip();
+
+        this.viewChanged();
+    }
+
+    /**
+     * Called whenever a transition or the user moved the camera. We draw the
+     * simplified countries until the camera did not move for a moment.
+     */
+    viewChanged() {
+        this.cameraMoving = true;
+
+        clearTimeout(this.settleTimeout);
+        this.settleTimeout = setTimeout(() => this.settleCamera(), this.settings.performance.settleDelay);
+
+        this.render();
+        this.emit('viewchange', this.getView());
+    }
+
+    /**
+     * Draw the full detail again now the camera stopped moving.
+     */
+    settleCamera() {
+        clearTimeout(this.settleTimeout);
+        this.settleTimeout = null;
+
+        if (this.cameraMoving) {
+            this.cameraMoving = false;
+            this.render();
+
+            if (this.scheduleAnnouncement !== null) {
+                this.scheduleAnnouncement();
+            }
+        }
+
+        // Show the tooltip again for whatever is under the pointer now.
+        if (this.tooltip !== null && !this.tooltip.visible && this.lastPointerEvent !== null && !this.isCameraAnimating()) {
+            this.updateHoveredCountry(this.lastPointerEvent);
+        }
+    }
+
+    /**
+     * @return {Boolean} Whether a transition, the inertia of a drag or the rotation keeps moving the camera.
+     */
+    isCameraAnimating() {
+        return this.runningTransitions > 0 || this.gesture.inertiaFrame !== null || this.spin.frame !== null;
+    }
+
+    /**
+     * Keep the globe spinning with the velocity of the last drag and slow it down gradually.
+     */
+    startInertia() {
+        const friction = 1 - this.settings.interaction.inertiaFriction;
+        let lastFrameTime = Date.now();
+
+        const step = () => {
+            const now = Date.now();
+            const elapsed = now - lastFrameTime;
+            const [velocityLambda, velocityPhi] = this.gesture.velocity;
+
+            lastFrameTime = now;
+
+            if (Math.abs(velocityLambda) + Math.abs(velocityPhi) < 0.001) {
+                this.gesture.inertiaFrame = null;
+                return;
+            }
+
+            this.applyRotationDelta(velocityLambda * elapsed, velocityPhi * elapsed);
+            this.gesture.velocity = [velocityLambda * friction, velocityPhi * friction];
+            this.gesture.inertiaFrame = window.requestAnimationFrame(step);
+        };
+
+        this.gesture.inertiaFrame = window.requestAnimationFrame(step);
+    }
+
+    stopInertia() {
+        if (this.gesture.inertiaFrame !== null) {
+            window.cancelAnimationFrame(this.gesture.inertiaFrame);
+            this.gesture.inertiaFrame = null;
+        }
+    }
+
+    /**
+     * @param  {Object} country Country geojson feature.
+     * @param  {Event}  event
+     * @return {Object}
+     */
+    createCountryEvent(country, event) {
+        const [x, y] = this.getPointerPosition(event);
+
+        return {
+            properties: country.properties,
+            feature: country,
+            x,
+            y,
+            coordinates: this.projection.invert([x, y]),
+            originalEvent: event
+        };
+    }
+
+    /**
+     * @param  {Event} event
+     * @return {Array.<Number>} Pointer position in pixels relative to the canvas.
+     */
+    getPointerPosition(event) {
+        const rect = this.layers.canvas.node().getBoundingClientRect();
+
+        return [event.clientX - rect.left, event.clientY - rect.top];
+    }
+
+    /**
+     * Find the country at a pixel position on the canvas.
+     *
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object|null} Country or subdivision geojson feature.
+     */
+    getCountryAt(x, y) {
+        const [translateX, translateY] = this.projection.translate();
+
+        // Outside of the globe the inverted points end up on its edge.
+        if (Math.sqrt(((x - translateX) ** 2) + ((y - translateY) ** 2)) > this.projection.scale()) {
+            return null;
+        }
+
+        const coordinates = this.projection.invert([x, y]);
+
+        if (coordinates === undefined || Number.isNaN(coordinates[0]) || Number.isNaN(coordinates[1])) {
+            return null;
+        }
+
+        // The orthographic projection inverts points on the far hemisphere to
+        // the same pixels as the near side, so ignore anything that is hidden.
+        if (!this.isCoordinateVisible(coordinates)) {
+            return null;
+        }
+
+        const country = this.countriesGeoJson.find(feature => geoContains(feature, coordinates));
+
+        if (country === undefined) {
+            return null;
+        }
+
+        // When drilled in we hover and click the subdivisions instead.
+        const subdivisions = this.subdivisions[country.properties.id];
+
+        if (subdivisions !== undefined && this.isDrilledIn()) {
+            const subdivision = subdivisions.features.find(feature => geoContains(feature, coordinates));
+
+            if (subdivision !== undefined) {
+                return subdivision;
+            }
+        }
+
+        return country;
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    updateHoveredCountry(event) {
+        const [x, y] = this.getPointerPosition(event);
+        const marker = this.getMarkerAt(x, y);
+
+        this.setHoveredMarker(marker, event);
+
+        // A marker covers the country underneath it.
+        this.setHoveredCountry(marker === null ? this.getCountryAt(x, y) : null, event);
+
+        // Keep the tooltip next to the pointer, or show it again when it was hidden while
+        // the globe moved. Not while it still moves, every frame would hide it again.
+        if (this.tooltip !== null && this.hoveredCountry !== null) {
+            if (this.tooltip.visible) {
+                this.tooltip.move(x, y);
+            } else if (!this.isCameraAnimating()) {
+                this.tooltip.show(this.formatTooltip(this.hoveredCountry), x, y);
+            }
+        }
+    }
+
+    /**
+     * Change the hovered marker and emit the hover and leave events.
+     *
+     * @param {Object|null} marker
+     * @param {Event}       event
+     */
+    setHoveredMarker(marker, event) {
+        const previous = this.hoveredMarker;
+
+        if (marker === previous) {
+            return;
+        }
+
+        this.hoveredMarker = marker;
+
+        if (previous !== null) {
+            this.emit('markerleave', this.createMarkerEvent(previous, event));
+        }
+
+        if (marker !== null) {
+            this.emit('markerhover', this.createMarkerEvent(marker, event));
+        }
+    }
+
+    /**
+     * @param  {Object} marker
+     * @param  {Event}  event
+     * @return {Object}
+     */
+    createMarkerEvent(marker, event) {
+        const [x, y] = this.getPointerPosition(event);
+
+        return {
+            marker,
+            id: marker.id,
+            data: marker.data,
+            x,
+            y,
+            coordinates: [marker.lon, marker.lat],
+            originalEvent: event
+        };
+    }
+
+    /**
+     * Find the top most marker at a pixel position on the canvas.
+     *
+     * @param  {Number} x
+     * @param  {Number} y
+     * @return {Object|null}
+     */
+    getMarkerAt(x, y) {
+        let result = null;
+        let resultRadius = Infinity;
+
+        for (let i = 0; i < this.markers.length; i++) {
+            const marker = this.markers[i];
+
+            if (this.isCoordinateVisible([marker.lon, marker.lat])) {
+                const [markerX, markerY] = this.projection([marker.lon, marker.lat]);
+                const radius = this.getMarkerRadius(marker);
+                const distance = Math.sqrt(((x - markerX) ** 2) + ((y - markerY) ** 2));
+
+                // Smaller markers are drawn on top of larger ones.
+                if (distance <= Math.max(radius, 3) && radius < resultRadius) {
+                    result = marker;
+                    resultRadius = radius;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @param  {Array.<Number>} coordinates [longitude, latitude]
+     * @return {Boolean}        Whether the coordinate is on the near side of the globe.
+     */
+    isCoordinateVisible(coordinates) {
+        const [lambda, phi] = this.projection.rotate();
+
+        return geoDistance(coordinates, [-lambda, -phi]) < Math.PI / 2;
+    }
+
+    /**
+     * Change the hovered country and emit the hover and leave events.
+     *
+     * @param {Object|null} country
+     * @param {Event}       event
+     */
+    setHoveredCountry(country, event) {
+        const previous = this.hoveredCountry;
+
+        if (country === previous) {
+            return;
+        }
+
+        this.hoveredCountry = country;
+
+        if (previous !== null) {
+            this.emit('countryleave', this.createCountryEvent(previous, event));
+        }
+
+        if (country !== null) {
+            this.emit('countryhover', this.createCountryEvent(country, event));
+        }
+
+        const hover = this.settings.hover;
+
+        if (hover.fillStyle !== null || hover.strokeStyle !== null) {
+            this.render();
+        }
+    }
+
+    /**
+     * Stop any running programmatic transition.
+     */
+    interruptTransitions() {
+        // Headless globes jump to the end of their transitions, so they never run one.
+        if (!this.headless) {
+            interrupt(this.document.documentElement, this.transitionName);
+        }
+
+        // A transition sets the zoom level as soon as it starts, so when it
+        // is interrupted halfway we have to sync it with the actual scale.
+        if (this.projection !== undefined) {
+            this.zoom = this.projection.scale() / this.baseProjectionScale;
+        }
+    }
+
+    /**
+     * Depends on setupLayers().
+     */
+    setupProjection() {
+        // We have to offset the coordinates by the zoom level to keep the map centered on the selected coordinate.
+        const left = this.holderBoundingBox.width - (this.holderBoundingBox.width * this.zoom);
+        const top = this.holderBoundingBox.height - (this.holderBoundingBox.height * this.zoom);
+
+        // First create the projection.
+        this.projection = geoOrthographic().fitExtent([[left, top], [this.holderBoundingBox.width * this.zoom, this.holderBoundingBox.height * this.zoom]], {
+            type: 'Sphere'
+        });
+
+        // Now we can create a geo path function.
+        this.geoPath = geoPath(this.projection, this.canvasContext);
+
+        const baseProjection = geoOrthographic().fitExtent([[0, 0], [this.holderBoundingBox.width, this.holderBoundingBox.height]], {
+            type: 'Sphere'
+        });
+
+        this.baseProjectionScale = baseProjection.scale();
+    }
+
+    /**
+     * Highlight a particular region or country.
+     *
+     * @param  {String}        name
+     * @param  {String|Object} color A color or a style, see highlightCountry().
+     */
+    highlight(name, color) {
+        if (this.getRegion(name) !== undefined) {
+            this.highlightRegion(name, color);
+        } else {
+            this.highlightCountry(name, color);
+        }
+    }
+
+    /**
+     * Unhighlight country or region.
+     *
+     * @param {String} name
+     */
+    unhighlight(name) {
+        if (this.getRegion(name) !== undefined) {
+            this.unhighlightRegion(name);
+        } else {
+            this.unhighlightCountry(name);
+        }
+    }
+
+    /**
+     * Highlight a specific country.
+     *
+     * @param  {String|Number}           countryName Name, alias or ISO code.
+     * @param  {String|Object|undefined} color       optional, a color or a style like the style setting returns.
+     */
+    highlightCountry(countryName, color, render = true) {
+        const countryGeoJson = this.getCountryGeoJson(countryName);
+
+        if (countryGeoJson === undefined) {
+            this.warnUnknownCountry(countryName, 'highlight');
+            return;
+        }
+
+        const id = countryGeoJson.properties.id;
+        const style = color !== null && typeof color === 'object' ? color : null;
+        let fill = color || this.settings.highlightColor;
+
+        if (style !== null) {
+            fill = style.fill !== undefined ? style.fill : null;
+        }
+
+        let country = this.highlightedCountries.find(highlighted => highlighted.id === id);
+
+        if (country === undefined) {
+            // Bring back a country that is still fading out instead of starting over.
+            country = this.fadingHighlights.find(fading => fading.id === id);
+
+            if (country !== undefined) {
+                this.fadingHighlights = this.fadingHighlights.filter(fading => fading !== country);
+            } else {
+                country = {
+                    id,
+                    name: countryGeoJson.properties.name.toLowerCase(),
+                    color: fill,
+                    style,
+                    opacity: 0,
+                    geojson: countryGeoJson
+                };
+            }
+
+            this.highlightedCountries.push(country);
+            this.fadeHighlight(country, 1);
+        }
+
+        // Highlighting a highlighted country again with a color changes it, without one it keeps its color.
+        if (color !== undefined && color !== null) {
+            country.style = style;
+            this.changeHighlightColor(country, fill);
+        }
+
+        this.updateAccessibleTable();
+
+        if (render === true) {
+            this.render();
+        }
+    }
+
+    /**
+     * Fade a highlight in or out.
+     *
+     * @param  {Object}  country One of the highlighted or fading countries.
+     * @param  {Number}  opacity 1 to fade in, 0 to fade out.
+     * @return {Promise} See animate().
+     */
+    fadeHighlight(country, opacity) {
+        const start = country.opacity;
+
+        return this.animate('highlight-' + country.id, t => {
+            country.opacity = start + ((opacity - start) * t);
+
+            if (t === 1 && opacity === 0) {
+                this.fadingHighlights = this.fadingHighlights.filter(fading => fading !== country);
+            }
+        });
+    }
+
+    /**
+     * Change the color of a highlight, gradually when it already had a color.
+     *
+     * @param {Object}      country One of the highlighted countries.
+     * @param {String|null} color
+     */
+    changeHighlightColor(country, color) {
+        if (country.color === color) {
+            return;
+        }
+
+        if (typeof country.color !== 'string' || typeof color !== 'string') {
+            country.color = color;
+            return;
+        }
+
+        const interpolateColor = interpolate(country.color, color);
+
+        this.animate('highlight-color-' + country.id, t => {
+            country.color = t === 1 ? color : interpolateColor(t);
+        });
+    }
+
+    /**
+     * @param {String|Number} name   Name, alias or ISO code.
+     * @param {Boolean}       render
+     */
+    unhighlightCountry(name, render = true) {
+        const countryGeoJson = this.getCountryGeoJson(name);
+
+        if (countryGeoJson === undefined) {
+            this.warnUnknownCountry(name, 'unhighlight');
+            return;
+        }
+
+        for (let i = 0; i < this.highlightedCountries.length; i++) {
+            const highlightedCountry = this.highlightedCountries[i];
+
+            if (highlightedCountry.id === countryGeoJson.properties.id) {
+                this.highlightedCountries.splice(i, 1);
+
+                // It is drawn until it faded out, but no longer counts as highlighted.
+                this.fadingHighlights.push(highlightedCountry);
+                this.fadeHighlight(highlightedCountry, 0);
+                this.updateAccessibleTable();
+
+                if (render === true) {
+                    this.render();
+                }
+
+                break;
+            }
+        }
+    }
+
+    /**
+     * @param  {String|Number} countryName Name, alias or ISO code.
+     * @return {Boolean}
+     */
+    isCountryHighlighted(countryName) {
+        const countryGeoJson = this.getCountryGeoJson(countryName);
+
+        if (countryGeoJson === undefined) {
+            return false;
+        }
+
+        return this.highlightedCountries.some(obj => obj.id === countryGeoJson.properties.id);
+    }
+
+    /**
+     * Highlight a specific region.
+     *
+     * @param {String}                  regionName
+     * @param {String|Object|undefined} color      optional, see highlightCountry().
+     */
+    highlightRegion(regionName, color) {
+        if (this.getRegion(regionName) !== undefined) {
+            const countries = this.getRegionCountries(regionName);
+
+            for (let i = 0; i < countries.length; i++) {
+                this.highlightCountry(countries[i].properties.id, color, false);
+            }
+
+            this.render();
+        } else {
+            this.warnUnknownRegion(regionName, 'highlight');
+        }
+    }
+
+    /**
+     * Add markers to the globe.
+     *
+     * Each marker is an object with lon and lat and optionally an id, radius,
+     * value (to size it proportionally), color, label, icon (an url or image)
+     * and any data you want to receive back in the marker events.
+     *
+     * @param  {Array.<Object>} markers
+     * @return {Array.<String>} The ids of the markers.
+     */
+    addMarkers(markers) {
+        const ids = [];
+
+        for (let i = 0; i < markers.length; i++) {
+            const marker = Object.assign({}, markers[i]);
+
+            if (marker.id === undefined) {
+                marker.id = 'marker-' + (this.markerCounter++);
+            }
+
+            // Adding a marker with an existing id replaces it.
+            this.markers = this.markers.filter(existing => existing.id !== marker.id);
+            this.markers.push(marker);
+
+            ids.push(marker.id);
+        }
+
+        this.updateMarkerMaxValue();
+        this.render();
+
+        return ids;
+    }
+
+    /**
+     * @param  {String}           id
+     * @return {Object|undefined}
+     */
+    getMarker(id) {
+        return this.markers.find(marker => marker.id === id);
+    }
+
+    /**
+     * Change properties of a marker, for example its position or value.
+     *
+     * @param {String} id
+     * @param {Object} properties
+     */
+    updateMarker(id, properties) {
+        const marker = this.getMarker(id);
+
+        if (marker !== undefined) {
+            Object.assign(marker, properties, { id });
+            this.updateMarkerMaxValue();
+            this.render();
+        } else {
+            this.warn('unknown-marker', `No marker was found with the id ${id} so cannot update it.`, { id });
+        }
+    }
+
+    /**
+     * @param {String|Array.<String>} ids
+     */
+    removeMarkers(ids) {
+        ids = Array.isArray(ids) ? ids : [ids];
+
+        this.markers = this.markers.filter(marker => ids.indexOf(marker.id) === -1);
+
+        if (this.hoveredMarker !== null && ids.indexOf(this.hoveredMarker.id) !== -1) {
+            this.hoveredMarker = null;
+        }
+
+        this.updateMarkerMaxValue();
+        this.render();
+    }
+
+    clearMarkers() {
+        this.markers = [];
+        this.hoveredMarker = null;
+        this.markerMaxValue = 0;
+        this.render();
+    }
+
+    updateMarkerMaxValue() {
+        const values = this.markers.map(marker => (typeof marker.value === 'number' ? marker.value : 0));
+
+        this.markerMaxValue = Math.max(0, ...values);
+    }
+
+    /**
+     * @param  {Object} marker
+     * @return {Number} in pixels.
+     */
+    getMarkerRadius(marker) {
+        const settings = this.settings.markers;
+
+        if (typeof marker.radius === 'number') {
+            return marker.radius;
+        }
+
+        if (typeof marker.value === 'number') {
+            const maxValue = settings.maxValue !== null ? settings.maxValue : this.markerMaxValue;
+
+            if (maxValue > 0) {
+                // Scale the area, not the radius, with the value.
+                return Math.sqrt(Math.max(marker.value, 0) / maxValue) * settings.maxRadius;
+            }
+        }
+
+        return settings.radius;
+    }
+
+    /**
+     * @param  {Object}     marker
+     * @return {Image|null} null when the marker has no icon or it is still loading.
+     */
+    getMarkerIcon(marker) {
+        if (!marker.icon) {
+            return null;
+        }
+
+        if (typeof marker.icon !== 'string') {
+            return marker.icon.complete === false ? null : marker.icon;
+        }
+
+        // Urls need a page to load them, headless globes only draw loaded images.
+        if (this.headless) {
+            return null;
+        }
+
+        let icon = this.markerIcons[marker.icon];
+
+        if (icon === undefined) {
+            icon = new window.Image();
+            icon.onload = () => this.render();
+            icon.src = marker.icon;
+
+            this.markerIcons[marker.icon] = icon;
+        }
+
+        return icon.complete && icon.naturalWidth > 0 ? icon : null;
+    }
+
+    /**
+     * Add labels with custom text at coordinates.
+     *
+     * Each label is an object with a text, lon and lat and optionally an id,
+     * priority, color and fontSize. Without a priority they are placed before
+     * the country labels.
+     *
+     * @param  {Array.<Object>} labels
+     * @return {Array.<String>} The ids of the labels that were added.
+     */
+    addLabels(labels) {
+        const ids = [];
+
+        for (let i = 0; i < labels.length; i++) {
+            const label = Object.assign({}, labels[i]);
+
+            if (label.id === undefined) {
+                label.id = 'label-' + (this.labelCounter++);
+            }
+
+            // Adding a label with an existing id replaces it.
+            this.labels = this.labels.filter(existing => existing.id !== label.id);
+            this.labels.push(label);
+
+            ids.push(label.id);
+        }
+
+        this.render();
+
+        return ids;
+    }
+
+    /**
+     * @param {String|Array.<String>} ids
+     */
+    removeLabels(ids) {
+        ids = Array.isArray(ids) ? ids : [ids];
+
+        this.labels = this.labels.filter(label => ids.indexOf(label.id) === -1);
+        this.render();
+    }
+
+    clearLabels() {
+        this.labels = [];
+        this.render();
+    }
+
+    /**
+     * Add arcs between countries, regions or coordinates.
+     *
+     * Each arc is an object with a from and to (a name, ISO code or
+     * [longitude, latitude]) and optionally an id, value (to scale its width),
+     * color and height.
+     *
+     * @param  {Array.<Object>} arcs
+     * @return {Array.<String>} The ids of the arcs that were added.
+     */
+    addArcs(arcs) {
+        const ids = [];
+
+        for (let i = 0; i < arcs.length; i++) {
+            const arc = Object.assign({}, arcs[i]);
+
+            arc.fromCoordinates = this.getLocationCoordinates(arc.from);
+            arc.toCoordinates = this.getLocationCoordinates(arc.to);
+
+            if (arc.fromCoordinates !== null && arc.toCoordinates !== null) {
+                if (arc.id === undefined) {
+                    arc.id = 'arc-' + (this.arcCounter++);
+                }
+
+                // Adding an arc with an existing id replaces it.
+                this.arcs = this.arcs.filter(existing => existing.id !== arc.id);
+                this.arcs.push(arc);
+
+                ids.push(arc.id);
+            }
+        }
+
+        this.updateArcMaxValue();
+        this.render();
+
+        return ids;
+    }
+
+    /**
+     * @param {String|Array.<String>} ids
+     */
+    removeArcs(ids) {
+        ids = Array.isArray(ids) ? ids : [ids];
+
+        this.arcs = this.arcs.filter(arc => ids.indexOf(arc.id) === -1);
+
+        this.updateArcMaxValue();
+        this.render();
+    }
+
+    clearArcs() {
+        this.arcs = [];
+        this.arcMaxValue = 0;
+        this.render();
+    }
+
+    updateArcMaxValue() {
+        const values = this.arcs.map(arc => (typeof arc.value === 'number' ? arc.value : 0));
+
+        this.arcMaxValue = Math.max(0, ...values);
+    }
+
+    /**
+     * @param  {Object} arc
+     * @return {Number} in pixels.
+     */
+    getArcWidth(arc) {
+        const settings = this.settings.arcs;
+
+        if (typeof arc.value === 'number') {
+            const maxValue = settings.maxValue !== null ? settings.maxValue : this.arcMaxValue;
+
+            if (maxValue > 0) {
+                const t = Math.max(0, Math.min(1, arc.value / maxValue));
+
+                return settings.minWidth + ((settings.maxWidth - settings.minWidth) * t);
+            }
+        }
+
+        return settings.width;
+    }
+
+    /**
+     * Animate the arcs.
+     *
+     * The draw animation draws the arcs from start to end once,
+     * the dash animation keeps dashes moving along them until
+     * stopArcAnimation() is called.
+     *
+     * @param {Object} options
+     * @param {String} options.type     draw or dash.
+     * @param {Number} options.duration in milliseconds, for the dash animation one loop.
+     */
+    animateArcs({ type = 'draw', duration = 1250 } = {}) {
+        const vm = this;
+        const name = this.transitionName + '-arcs';
+
+        this.stopArcAnimation(false);
+
+        // Without frames the arcs are simply drawn as they are at the end.
+        if (this.headless) {
+            this.render();
+            return;
+        }
+
+        if (type === 'dash') {
+            const patternLength = this.settings.arcs.dash.reduce((sum, length) => sum + length, 0);
+
+            const loop = () => {
+                transition(name)
+                    .duration(duration)
+                    .ease(t => t)
+                    .tween('arcs', () => {
+                        return t => {
+                            vm.arcAnimation.dashOffset = t * patternLength * 4;
+                            vm.render();
+                        };
+                    })
+                    .on('end', loop);
+            };
+
+            this.arcAnimation.dashOffset = 0;
+            loop();
+        } else {
+            this.arcAnimation.progress = 0;
+
+            transition(name).duration(duration).tween('arcs', () => {
+                return t => {
+                    vm.arcAnimation.progress = t;
+                    vm.render();
+                };
+            });
+        }
+    }
+
+    /**
+     * @param {Boolean} render
+     */
+    stopArcAnimation(render = true) {
+        if (!this.headless) {
+            interrupt(this.document.documentElement, this.transitionName + '-arcs');
+        }
+
+        this.arcAnimation.progress = 1;
+        this.arcAnimation.dashOffset = null;
+
+        if (render === true) {
+            this.render();
+        }
+    }
+
+    /**
+     * @param  {String|Number|Array.<Number>} location Country, region or [longitude, latitude].
+     * @return {Array.<Number>|null}
+     */
+    getLocationCoordinates(location) {
+        if (Array.isArray(location)) {
+            return location;
+        }
+
+        if (this.getRegion(location) !== undefined) {
+            return geoCentroid(this.getRegionGeoJson(location));
+        }
+
+        const countryGeoJson = this.getCountryGeoJson(location);
+
+        if (countryGeoJson === undefined) {
+            this.warnUnknownCountry(location, 'draw an arc to');
+            return null;
+        }
+
+        return geoCentroid(countryGeoJson);
+    }
+
+    /**
+     * Bind data to countries and color them as a choropleth.
+     *
+     * The data is either an object with country names, aliases or ISO codes
+     * as keys, or an array of objects with a name or id property.
+     *
+     * @param {Object|Array} data
+     * @param {Object}       options optional, overrides the choropleth settings.
+     */
+    setData(data, options = {}) {
+        Object.assign(this.settings.choropleth, options);
+
+        this.countryData = {};
+
+        const entries = Array.isArray(data)
+            ? data.map(datum => [datum.id || datum.name, datum])
+            : Object.keys(data).map(key => [key, data[key]]);
+
+        for (let i = 0; i < entries.length; i++) {
+            const [key, datum] = entries[i];
+
+            if (key === undefined || key === null) {
+                this.warn('missing-key', 'Skipped data without an id or name.', { datum });
+            } else {
+                const countryGeoJson = this.getCountryGeoJson(key);
+
+                if (countryGeoJson !== undefined) {
+                    this.countryData[countryGeoJson.properties.id] = datum;
+                } else {
+                    this.warnUnknownCountry(key, 'bind data to');
+                }
+            }
+        }
+
+        this.updateChoropleth();
+        this.updateAccessibleTable();
+    }
+
+    /**
+     * Remove all bound data and the choropleth colors.
+     */
+    clearData() {
+        this.countryData = {};
+        this.updateChoropleth();
+        this.updateAccessibleTable();
+    }
+
+    /**
+     * Recalculate the choropleth colors from the bound data and the settings.
+     */
+    updateChoropleth() {
+        const settings = this.settings.choropleth;
+        const ids = Object.keys(this.countryData);
+        const values = {};
+
+        for (let i = 0; i < ids.length; i++) {
+            const value = this.getChoroplethValue(this.countryData[ids[i]]);
+
+            // Anything that is not a number is treated as no data.
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                values[ids[i]] = value;
+            }
+        }
+
+        const colors = {};
+        const previousNoDataColor = this.getNoDataColor();
+
+        if (ids.length === 0) {
+            this.colorScale = null;
+        } else {
+            this.colorScale = createColorScale({
+                type: settings.type,
+                domain: this.getChoroplethDomain(Object.values(values)),
+                colors: settings.colors
+            });
+
+            Object.keys(values).forEach(id => {
+                colors[id] = this.colorScale(values[id]);
+            });
+        }
+
+        this.updateLegend();
+        this.changeChoroplethColors(colors, previousNoDataColor);
+    }
+
+    /**
+     * The fill of countries without data, which is the land fill when there is no data at all.
+     *
+     * @return {String}
+     */
+    getNoDataColor() {
+        const noDataFillStyle = this.settings.choropleth.noDataFillStyle;
+
+        return this.colorScale !== null && noDataFillStyle !== null ? noDataFillStyle : this.settings.land.fillStyle;
+    }
+
+    /**
+     * Change the choropleth colors gradually, countries that get or lose
+     * their data fade from or to the color they have without data.
+     *
+     * @param  {Object.<String>} colors              By country id.
+     * @param  {String}          previousNoDataColor The fill of countries without data before the change.
+     * @return {Promise}         See animate().
+     */
+    changeChoroplethColors(colors, previousNoDataColor) {
+        const previous = this.choroplethColors;
+        const noDataColor = this.getNoDataColor();
+        const ids = Object.keys(Object.assign({}, previous, colors));
+        const interpolators = {};
+
+        for (let i = 0; i < ids.length; i++) {
+            interpolators[ids[i]] = interpolate(previous[ids[i]] || previousNoDataColor, colors[ids[i]] || noDataColor);
+        }
+
+        return this.animate('choropleth', t => {
+            if (t === 1) {
+                this.choroplethColors = colors;
+            } else {
+                this.choroplethColors = {};
+
+                for (let i = 0; i < ids.length; i++) {
+                    this.choroplethColors[ids[i]] = interpolators[ids[i]](t);
+                }
+            }
+
+            this.invalidateLayers();
+        });
+    }
+
+    /**
+     * @param  {*}      datum
+     * @return {Number}
+     */
+    getChoroplethValue(datum) {
+        const accessor = this.settings.choropleth.value;
+
+        if (typeof accessor === 'function') {
+            return accessor(datum);
+        }
+
+        if (datum !== null && typeof datum === 'object') {
+            return datum.value;
+        }
+
+        return datum;
+    }
+
+    /**
+     * @param  {Array.<Number>} values
+     * @return {Array.<Number>}
+     */
+    getChoroplethDomain(values) {
+        const settings = this.settings.choropleth;
+
+        if (Array.isArray(settings.domain)) {
+            return settings.domain;
+        }
+
+        const min = values.length > 0 ? Math.min(...values) : 0;
+        const max = values.length > 0 ? Math.max(...values) : 1;
+
+        if (settings.type === 'diverging') {
+            return [min, (min + max) / 2, max];
+        }
+
+        if (settings.type === 'threshold') {
+            // Divide the extent evenly over the available colors.
+            const domain = [];
+
+            for (let i = 1; i < settings.colors.length; i++) {
+                domain.push(min + (((max - min) * i) / settings.colors.length));
+            }
+
+            return domain;
+        }
+
+        return [min, max];
+    }
+
+    updateLegend() {
+        if (this.legend === null) {
+            return;
+        }
+
+        if (this.colorScale === null) {
+            this.legend.element.style.display = 'none';
+            return;
+        }
+
+        const settings = this.settings.choropleth;
+        const values = Object.keys(this.countryData)
+            .map(id => this.getChoroplethValue(this.countryData[id]))
+            .filter(value => typeof value === 'number' && Number.isFinite(value));
+
+        this.legend.element.style.display = 'block';
+        this.legend.update({
+            type: settings.type,
+            domain: this.getChoroplethDomain(values),
+            colors: settings.colors
+        }, this.colorScale, settings.noDataFillStyle);
+    }
+
+    /**
+     * Unhighlight a specific region.
+     *
+     * @param {String} regionName
+     */
+    unhighlightRegion(regionName) {
+        if (this.getRegion(regionName) !== undefined) {
+            const countries = this.getRegionCountries(regionName);
+
+            for (let i = 0; i < countries.length; i++) {
+                this.unhighlightCountry(countries[i].properties.id, false);
+            }
+
+            this.render();
+        } else {
+            this.warnUnknownRegion(regionName, 'unhighlight');
+        }
+    }
+
+    /**
+     * Define a region so it can be used with highlight(), unhighlight() and zoomOn().
+     * Registering an existing name replaces that region.
+     *
+     * @param  {String}         name
+     * @param  {Array.<String>} countries          Names or codes of countries, or names of other regions.
+     * @param  {Object}         options            optional
+     * @param  {String}         options.code       M49 code of the region, if any.
+     * @param  {Array.<String>} options.aliases    Alternative names for the region.
+     * @param  {Array.<Number>} options.center     [longitude, latitude] to center on instead of the center
+     *                                             of the fit, the zoom level still fits the region.
+     * @param  {Number}         options.zoom       Zoom level to use instead of fitting the region.
+     * @param  {Number}         options.offsetX    in geo coordinates, not in pixels.
+     * @param  {Number}         options.offsetY    in geo coordinates, not in pixels.
+     * @return {GlobeMap}
+     */
+    registerRegion(name, countries, options = {}) {
+        const key = name.toLowerCase();
+
+        this.regions[key] = {
+            name: key,
+            code: options.code || null,
+            countries: countries.slice(),
+            center: options.center || null,
+            zoom: options.zoom,
+            offsetX: options.offsetX || 0,
+            offsetY: options.offsetY || 0
+        };
+
+        const aliases = options.aliases || [];
+
+        for (let i = 0; i < aliases.length; i++) {
+            this.regionAliases[aliases[i].toLowerCase()] = key;
+        }
+
+        return this;
+    }
+
+    /**
+     * @param  {String}   name
+     * @return {GlobeMap}
+     */
+    unregisterRegion(name) {
+        const region = this.getRegion(name);
+
+        if (region !== undefined) {
+            delete this.regions[region.name];
+
+            Object.keys(this.regionAliases).forEach(alias => {
+                if (this.regionAliases[alias] === region.name) {
+                    delete this.regionAliases[alias];
+                }
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * @param  {String}           name Name or alias of the region.
+     * @return {Object|undefined}
+     */
+    getRegion(name) {
+        const key = String(name).toLowerCase();
+
+        return this.regions[key] || this.regions[this.regionAliases[key]];
+    }
+
+    /**
+     * All countries of a region, including those of its subregions.
+     *
+     * @param  {String}         name
+     * @param  {Object}         visited Used internally to guard against regions that contain each other.
+     * @return {Array.<Object>} Country geojson features.
+     */
+    getRegionCountries(name, visited = {}) {
+        const region = this.getRegion(name);
+        const countries = [];
+
+        if (region === undefined || visited[region.name]) {
+            return countries;
+        }
+
+        visited[region.name] = true;
+
+        for (let i = 0; i < region.countries.length; i++) {
+            const member = region.countries[i];
+            let memberCountries;
+
+            if (this.getRegion(member) !== undefined) {
+                memberCountries = this.getRegionCountries(member, visited);
+            } else {
+                const countryGeoJson = this.getCountryGeoJson(member);
+
+                if (countryGeoJson !== undefined) {
+                    memberCountries = [countryGeoJson];
+                } else {
+                    this.warnUnknownCountry(member, `add to the region ${region.name}`);
+                    memberCountries = [];
+                }
+            }
+
+            // A country can be part of multiple subregions.
+            for (let j = 0; j < memberCountries.length; j++) {
+                if (countries.indexOf(memberCountries[j]) === -1) {
+                    countries.push(memberCountries[j]);
+                }
+            }
+        }
+
+        return countries;
+    }
+
+    /**
+     * @param  {String} name
+     * @return {Object} Geojson feature collection of all countries in the region.
+     */
+    getRegionGeoJson(name) {
+        return {
+            type: 'FeatureCollection',
+            features: this.getRegionCountries(name)
+        };
+    }
+
+    /**
+     * Center on a specific country.
+     *
+     * @param  {String}  name    Name of country.
+     * @param  {Object}  options See runTransition().
+     * @return {Promise}
+     */
+    centerOnCountry(name, options) {
+        return this.zoomOn(name, this.zoom, 0, 0, options);
+    }
+
+    /**
+     * Zoom on a specific country or region.
+     *
+     * @param  {String}  name
+     * @param  {Number}  zoom
+     * @param  {Number}  offsetX
+     * @param  {Number}  offsetY
+     * @param  {Object}  options See runTransition().
+     * @return {Promise}
+     */
+    zoomOn(name, zoom, offsetX, offsetY, options) {
+        if (this.getRegion(name) !== undefined) {
+            return this.zoomOnRegion(name, zoom, offsetX, offsetY, options);
+        }
+
+        return this.zoomOnCountry(name, zoom, offsetX, offsetY, options);
+    }
+
+    /**
+     * Zoom on all countries of a region.
+     *
+     * @param  {String}        regionName
+     * @param  {String|Number} zoom        Defaults to the zoom of the region or 'auto'.
+     * @param  {Number}        offsetX     in geo coordinates, not in pixels.
+     * @param  {Number}        offsetY     in geo coordinates, not in pixels.
+     * @param  {Object}        options     See runTransition().
+     * @return {Promise}
+     */
+    zoomOnRegion(regionName, zoom, offsetX = 0, offsetY = 0, options = {}) {
+        const region = this.getRegion(regionName);
+
+        if (region === undefined) {
+            this.warnUnknownRegion(regionName, 'zoom on');
+            return Promise.resolve({ cancelled: true });
+        }
+
+        if (zoom === undefined) {
+            zoom = region.zoom !== undefined ? region.zoom : 'auto';
+        }
+
+        this.zoomedCountry = undefined;
+        this.zoomedRegion = region.name;
+
+        if (region.center !== null) {
+            options = Object.assign({ center: region.center }, options);
+        }
+
+        return this.zoomOnGeoJson(this.getRegionGeoJson(region.name), zoom, region.offsetX + offsetX, region.offsetY + offsetY, options);
+    }
+
+    /**
+     * Zoom on a specific country.
+     *
+     * @param  {string}        countryName
+     * @param  {String|Number} zoom
+     * @param  {Number}        offsetX     in geo coordinates, not in pixels.
+     * @param  {Number}        offsetY     in geo rotation coordinates, not in pixels.
+     * @param  {Object}        options     See runTransition().
+     * @return {Promise}
+     */
+    zoomOnCountry(countryName, zoom = 'auto', offsetX = 0, offsetY = 0, options = {}) {
+        const countryGeoJson = this.getCountryGeoJson(countryName);
+
+        if (countryGeoJson === undefined) {
+            this.warnUnknownCountry(countryName, 'zoom on');
+            return Promise.resolve({ cancelled: true });
+        }
+
+        this.zoomedCountry = countryName;
+        this.zoomedRegion = undefined;
+
+        return this.zoomOnGeoJson(countryGeoJson, zoom, offsetX, offsetY, options);
+    }
+
+    /**
+     * Rotate to the center of any geojson object and zoom on it.
+     *
+     * @param  {Object}        geojson
+     * @param  {String|Number} zoom    'auto' fits the geojson in the canvas.
+     * @param  {Number}        offsetX in geo coordinates, not in pixels.
+     * @param  {Number}        offsetY in geo coordinates, not in pixels.
+     * @param  {Object}        options See runTransition(), options.center overrides the center of the fit.
+     * @return {Promise}
+     */
+    zoomOnGeoJson(geojson, zoom = 'auto', offsetX = 0, offsetY = 0, options = {}) {
+        const fit = this.calculateFit(geojson);
+        const center = options.center || fit.center;
+
+        if (zoom === 'auto') {
+            zoom = fit.zoom;
+        }
+
+        const promise = this.animateTo([center[0] + offsetX, center[1] + offsetY], zoom, options);
+
+        this.zoomedGeoJson = geojson;
+
+        return promise;
+    }
+
+    /**
+     * Fly to any coordinate.
+     *
+     * @param  {Object}         options
+     * @param  {Array.<Number>} options.center   [longitude, latitude], defaults to the current center.
+     * @param  {Number}         options.zoom     Defaults to the current zoom level.
+     * @param  {Number}         options.duration See runTransition().
+     * @param  {Function}       options.easing   See runTransition().
+     * @param  {Number}         options.delay    See runTransition().
+     * @param  {Boolean}        options.smooth   Defaults to the flight setting.
+     * @return {Promise}
+     */
+    flyTo(options = {}) {
+        this.zoomedCountry = undefined;
+        this.zoomedRegion = undefined;
+
+        return this.animateTo(options.center || this.getView().center, options.zoom, options);
+    }
+
+    /**
+     * Fit a bounding box in the canvas.
+     *
+     * @param  {Array.<Array.<Number>>} bounds  [[west, south], [east, north]], the west
+     *                                          is larger than the east when crossing
+     *                                          the antimeridian.
+     * @param  {Object}                 options Same as flyTo() plus padding in pixels.
+     * @return {Promise}
+     */
+    fitBounds([[west, south], [east, north]], options = {}) {
+        const width = west <= east ? east - west : (east + 360) - west;
+        const points = [];
+
+        // Sample the edges because parallels are curved on the globe.
+        for (let i = 0; i <= 10; i++) {
+            const longitude = west + ((width * i) / 10);
+            const latitude = south + (((north - south) * i) / 10);
+
+            points.push([longitude, south], [longitude, north], [west, latitude], [west + width, latitude]);
+        }
+
+        const fit = this.calculateFit({ type: 'MultiPoint', coordinates: points }, options.padding);
+
+        return this.flyTo(Object.assign({}, options, {
+            center: fit.center,
+            zoom: fit.zoom
+        }));
+    }
+
+    /**
+     * Animate the projection to a new center and zoom level.
+     *
+     * @param  {Array.<Number>} center         [longitude, latitude]
+     * @param  {Number}         zoom           optional, keeps the current zoom level when omitted.
+     * @param  {Object}         options        See runTransition().
+     * @param  {Boolean}        options.smooth Zoom out halfway long flights, defaults to the flight setting.
+     * @return {Promise}
+     */
+    animateTo(center, zoom, options = {}) {
+        const vm = this;
+        const [x, y] = center;
+        const smooth = typeof options.smooth === 'boolean' ? options.smooth : this.settings.flight.smooth;
+
+        this.zoomedGeoJson = undefined;
+        this.zoomedCenter = [x, y];
+
+        return this.runTransition('centerOnCountry', () => {
+            const startRotation = vm.projection.rotate();
+            const startScale = vm.projection.scale();
+            const endScale = typeof zoom === 'number' ? this.baseProjectionScale * zoom : startScale;
+
+            // Create interpolation function.
+            const interpolateRotation = geoInterpolate(startRotation, [-x, -y]);
+
+            if (typeof zoom === 'number') {
+                this.zoom = zoom;
+            }
+
+            const distance = geoDistance([-startRotation[0], -startRotation[1]], center) * (180 / Math.PI);
+
+            // Short distances or a straight flight just interpolate the rotation and scale.
+            if (!smooth || distance < this.settings.flight.smoothThreshold) {
+                const interpolationScale = interpolate(startScale, endScale);
+
+                return t => {
+                    vm.projection.rotate(interpolateRotation(t));
+                    vm.projection.scale(interpolationScale(t));
+                };
+            }
+
+            // Zoom out during the first half and back in during the second
+            // half, while doing most of the rotating when zoomed out.
+            const middleScale = Math.min(startScale, endScale, this.baseProjectionScale * this.settings.flight.zoomOutLevel);
+            const zoomOut = interpolate(startScale, middleScale);
+            const zoomIn = interpolate(middleScale, endScale);
+
+            return t => {
+                const rotationProgress = Math.max(0, Math.min(1, (t - 0.15) / 0.7));
+
+                vm.projection.rotate(interpolateRotation(rotationProgress));
+                vm.projection.scale(t < 0.5 ? zoomOut(t * 2) : zoomIn((t - 0.5) * 2));
+            };
+        }, options);
+    }
+
+    /**
+     * Run a camera transition.
+     *
+     * All camera transitions share the same name, so starting a new one
+     * interrupts the running one instead of both changing the projection.
+     *
+     * @param  {String}   name             Name of the tween.
+     * @param  {Function} createTween      Called when the transition starts, returns a function of t
+     *                                     that updates the projection.
+     * @param  {Object}   options
+     * @param  {Number}   options.duration in milliseconds, defaults to the transition setting.
+     * @param  {Function} options.easing   Function of t, defaults to the transition setting.
+     * @param  {Number}   options.delay    in milliseconds, defaults to the transition setting.
+     * @param  {Boolean}  options.jumpToEnd Apply the end right away, defaults to the transition setting.
+     * @return {Promise}  Resolves with { cancelled } when the transition ends, cancelled is true
+     *                    when it was interrupted by another transition, stop() or the user.
+     */
+    runTransition(name, createTween, options = {}) {
+        const defaults = this.settings.transition;
+        const duration = typeof options.duration === 'number' ? options.duration : defaults.duration;
+        const delay = typeof options.delay === 'number' ? options.delay : defaults.delay;
+        const easing = options.easing || defaults.easing;
+        const jumpToEnd = typeof options.jumpToEnd === 'boolean' ? options.jumpToEnd : defaults.jumpToEnd;
+
+        this.hideTooltip();
+
+        if (jumpToEnd || this.headless) {
+            return this.jumpToEnd(createTween);
+        }
+
+        this.runningTransitions++;
+        this.pauseRotation();
+
+        return new Promise(resolve => {
+            const cameraTransition = transition(this.transitionName)
+                .duration(duration)
+                .delay(delay);
+
+            if (typeof easing === 'function') {
+                cameraTransition.ease(easing);
+            }
+
+            const finish = cancelled => {
+                this.runningTransitions--;
 
-        /**
-         * Mapping between custom regions
-         * and their zoom function.
-         *
-         * @type {Object.<Function>}
-         */
-        this.regionToZoomFunction = {
-            'africa': this.zoomOnAfrica.bind(this),
-            'antarctica': this.zoomOnAntarctica.bind(this),
-            'asia': this.zoomOnAsia.bind(this),
-            'australia and new zealand': this.zoomOnAustraliaAndNewZealand.bind(this),
-            'europe': this.zoomOnEurope.bind(this),
-            'middle east': this.zoomOnMiddleEast.bind(this),
-            'northern africa': this.zoomOnNorthernAfrica.bind(this),
-            'caribbean': this.zoomOnCaribbean.bind(this),
-            'central asia': this.zoomOnCentralAsia.bind(this),
-            'central america': this.zoomOnCentralAmerica.bind(this),
-            'eastern asia': this.zoomOnEasternAsia.bind(this),
-            'eastern europe': this.zoomOnEasternEurope.bind(this),
-            'north america': this.zoomOnNorthAmerica.bind(this),
-            'northern europe': this.zoomOnNorthernEurope.bind(this),
-            'southern africa': this.zoomOnSouthernAfrica.bind(this),
-            'southern asia': this.zoomOnSouthernAsia.bind(this),
-            'south america': this.zoomOnSouthAmerica.bind(this),
-            'southern europe': this.zoomOnSouthernEurope.bind(this),
-            'southeastern asia': this.zoomOnSouthEasternAsia.bind(this),
-            'western africa': this.zoomOnWesternAfrica.bind(this),
-            'western europe': this.zoomOnWesternEurope.bind(this),
-        };
+                // Only start counting down to resume rotating once we stopped moving.
+                this.pauseRotation();
+                this.settleCamera();
 
-        /**
-         * @type {Boolean}
-         */
-        this.initialized = false;
+                this.emit('transitionend', Object.assign({ cancelled }, this.getView()));
+
+                resolve({ cancelled });
+            };
+
+            cameraTransition
+                .on('start', () => this.emit('transitionstart', this.getView()))
+                .on('end', () => finish(false))
+                .on('interrupt', () => finish(true))
+                .on('cancel', () => finish(true));
+
+            cameraTransition.tween(name, () => {
+                const tween = createTween();
+
+                return t => {
+                    tween(t);
+                    this.viewChanged();
+                };
+            });
+        });
     }
 
     /**
-     * Initialize the class.
+     * Apply the end of a camera transition right away, with the same events as runTransition().
+     *
+     * @param  {Function} createTween See runTransition().
+     * @return {Promise}  Resolves with { cancelled: false }.
      */
-    init() {
-        this.setupLayers();
-        this.setupProjection();
-        this.render();
+    jumpToEnd(createTween) {
+        // Like starting a transition, this cancels the running one.
+        this.interruptTransitions();
 
-        // Add a debounced resize listener.
-        window.addEventListener('resize', debounce(this.resize.bind(this), 200));
+        this.emit('transitionstart', this.getView());
 
-        this.initialized = true;
+        createTween()(1);
+        this.viewChanged();
+
+        this.pauseRotation();
+        this.settleCamera();
+
+        this.emit('transitionend', Object.assign({ cancelled: false }, this.getView()));
+
+        return Promise.resolve({ cancelled: false });
     }
 
     /**
-     * Draw all the map layers.
+     * Run a transition that changes how the map looks instead of the camera, like fading
+     * a highlight. Starting one with the name of a running one interrupts it.
+     *
+     * @param  {String}   name             Unique within this globe.
+     * @param  {Function} tween            Function of t that updates the state, we render after it.
+     * @param  {Object}   options
+     * @param  {Number}   options.duration in milliseconds, defaults to the color transition setting.
+     * @param  {Function} options.easing   Function of t, defaults to the color transition setting.
+     * @return {Promise}  Resolves with { cancelled } when the transition ends.
      */
-    render() {
-        const context = this.canvasContext;
-        const width = this.holderBoundingBox.width;
-        const height = this.holderBoundingBox.height;
-        const path = this.geoPath;
-
-        context.clearRect(0, 0, width, height);
+    animate(name, tween, options = {}) {
+        const settings = this.settings.colorTransition;
+        const camera = this.settings.transition;
+        const fullName = this.transitionName + '-' + name;
+        let duration = typeof settings.duration === 'number' ? settings.duration : camera.duration;
+        const easing = options.easing || settings.easing || camera.easing;
 
-        // First draw the basic sphere of the world.
-        context.beginPath();
-        path({ type: 'Sphere' });
-        context.fillStyle = this.settings.globe.fillStyle;
-        context.strokeStyle = this.settings.globe.strokeStyle;
-        context.lineWidth = this.settings.globe.strokeWidth;
-        context.stroke();
+        if (typeof options.duration === 'number') {
+            duration = options.duration;
+        }
 
-        if (this.settings.globe.fillStyle !== null) {
-            context.fill();
+        if (!this.headless) {
+            interrupt(this.document.documentElement, fullName);
         }
 
-        // Draw the outline of the continents.
-        context.beginPath();
-        path(this.landGeoJson);
-        context.fillStyle = this.settings.land.fillStyle;
-        context.strokeStyle = this.settings.land.strokeStyle;
-        context.lineWidth = this.settings.land.strokeWidth;
-        context.fill();
+        // Before init() nothing is drawn yet, so we don't wait for it either.
+        if (this.headless || !this.initialized || camera.jumpToEnd || duration <= 0) {
+            tween(1);
+            this.render();
 
-        if (this.settings.land.strokeWidth > 0) {
-            context.stroke();
+            return Promise.resolve({ cancelled: false });
         }
 
-        // Draw the highlighted countries.
-        for (let i = 0; i < this.highlightedCountries.length; i++) {
-            const country = this.highlightedCountries[i];
-            context.beginPath();
-            path(country.geojson);
-            context.fillStyle = country.color;
-            context.fill();
-        }
+        this.animations[fullName] = true;
 
-        // Draw the country borders over everything.
-        context.beginPath();
-        path(this.bordersGeoJson);
-        context.strokeStyle = this.settings.borders.strokeStyle;
-        context.lineWidth = this.settings.borders.strokeWidth;
-        context.stroke();
+        return new Promise(resolve => {
+            const colorTransition = transition(fullName).duration(duration);
+
+            if (typeof easing === 'function') {
+                colorTransition.ease(easing);
+            }
+
+            const finish = cancelled => {
+                delete this.animations[fullName];
+                resolve({ cancelled });
+            };
+
+            colorTransition
+                .on('end', () => finish(false))
+                .on('interrupt', () => finish(true))
+                .on('cancel', () => finish(true))
+                .tween(name, () => t => {
+                    tween(t);
+                    this.render();
+                });
+        });
     }
 
     /**
-     * Setup all required layers.
+     * Stop all transitions started by animate(), leaving the colors as they are.
      */
-    setupLayers() {
-        this.layers.canvas = select(this.holder).append('canvas')
-            .attr('width', this.holderBoundingBox.width)
-            .attr('height', this.holderBoundingBox.height);
+    stopAnimations() {
+        const names = Object.keys(this.animations);
 
-        this.canvasContext = this.layers.canvas.node().getContext('2d');
+        for (let i = 0; i < names.length; i++) {
+            interrupt(this.document.documentElement, names[i]);
+        }
+
+        this.animations = {};
     }
 
     /**
-     * Depends on setupLayers().
+     * Draw the attention to a country by letting it light up a few times.
+     *
+     * @param  {String|Number} name             Name, alias or ISO code.
+     * @param  {Object}        options
+     * @param  {String}        options.color    Defaults to the pulse setting.
+     * @param  {Number}        options.count    Defaults to the pulse setting.
+     * @param  {Number}        options.duration Milliseconds per pulse, defaults to the pulse setting.
+     * @return {Promise}       See animate().
      */
-    setupProjection() {
-        // We have to offset the coordinates by the zoom level to keep the map centered on the selected coordinate.
-        const left = this.holderBoundingBox.width - (this.holderBoundingBox.width * this.zoom);
-        const top = this.holderBoundingBox.height - (this.holderBoundingBox.height * this.zoom);
+    pulse(name, options = {}) {
+        const countryGeoJson = this.getCountryGeoJson(name);
 
-        // First create the projection.
-        this.projection = geoOrthographic().fitExtent([[left, top], [this.holderBoundingBox.width * this.zoom, this.holderBoundingBox.height * this.zoom]], {
-            type: 'Sphere'
-        });
+        if (countryGeoJson === undefined) {
+            this.warnUnknownCountry(name, 'pulse');
+            return Promise.resolve({ cancelled: true });
+        }
 
-        // Now we can create a geo path function.
-        this.geoPath = geoPath(this.projection, this.canvasContext);
+        const settings = Object.assign({}, this.settings.pulse, options);
+        const id = countryGeoJson.properties.id;
+        const pulse = {
+            geojson: countryGeoJson,
+            color: settings.color || this.settings.highlightColor,
+            opacity: 0
+        };
 
-        const baseProjection = geoOrthographic().fitExtent([[0, 0], [this.holderBoundingBox.width, this.holderBoundingBox.height]], {
-            type: 'Sphere'
-        });
+        this.pulses[id] = pulse;
 
-        this.baseProjectionScale = baseProjection.scale();
+        return this.animate('pulse-' + id, t => {
+            pulse.opacity = Math.abs(Math.sin(t * Math.PI * settings.count));
+
+            if (t === 1 && this.pulses[id] === pulse) {
+                delete this.pulses[id];
+            }
+        }, {
+            duration: settings.duration * settings.count,
+            easing: t => t
+        });
     }
 
     /**
-     * Highlight a particular region or country.
-     *
-     * @param  {String} name
-     * @param  {String} color
+     * Stop any camera transition and the inertia of a drag.
      */
-    highlight(name, color) {
-        if (REGION_COUNTRY_MAP[name]) {
-            this.highlightRegion(name, color);
-        } else {
-            this.highlightCountry(name, color);
-        }
+    stop() {
+        this.interruptTransitions();
+        this.stopInertia();
     }
 
     /**
-     * Unhighlight country or region.
+     * Create a sequence of views, see Tour for the options of the steps.
      *
-     * @param {String} name
+     * @param  {Array.<Object>} steps
+     * @param  {Object}         options optional, overrides the tour settings.
+     * @return {Tour}
      */
-    unhighlight(name) {
-        if (REGION_COUNTRY_MAP[name]) {
-            this.unhighlightRegion(name);
-        } else {
-            this.unhighlightCountry(name);
-        }
+    createTour(steps, options = {}) {
+        const tour = new Tour(this, steps, Object.assign({}, this.settings.tour, options));
+
+        this.tours.push(tour);
+
+        return tour;
     }
 
     /**
-     * Highlight a specific country.
+     * The current center and zoom level of the globe.
      *
-     * @param  {String}           countryName
-     * @param  {String|undefined} color       optional
+     * @return {Object} { center: [longitude, latitude], zoom, rotation }
      */
-    highlightCountry(countryName, color, render = true) {
-        const countryGeoJson = this.getCountryGeoJson(countryName);
+    getView() {
+        const rotation = this.projection.rotate();
 
-        if (countryGeoJson !== null) {
-            if (this.isCountryHighlighted(countryName) === false) {
-                this.highlightedCountries.push({
-                    id: countryGeoJson.properties.id,
-                    name: countryName.toLowerCase(),
-                    color: color || this.settings.highlightColor,
-                    geojson: countryGeoJson
-                });
+        // Keep the longitude within [-180, 180] after spinning around a few times.
+        const longitude = ((((-rotation[0] + 180) % 360) + 360) % 360) - 180;
 
-                if (render === true) {
-                    this.render();
-                }
-            }
-        } else {
-            console.log('No iso code was found for ' + countryName + ' so cannot highlight it.');
-        }
+        return {
+            center: [longitude, -rotation[1]],
+            zoom: this.projection.scale() / this.baseProjectionScale,
+            rotation
+        };
     }
 
-    unhighlightCountry(name, render = true) {
-        for (let i = 0; i < this.highlightedCountries.length; i++) {
-            const highlightedCountry = this.highlightedCountries[i];
-
-            if (highlightedCountry.name === name.toLowerCase()) {
-
-                this.highlightedCountries.splice(i, 1);
-
-                if (render === true) {
-                    this.render();
-                }
+    /**
+     * Fit the globe in the new size of the holder, keeping the current view.
+     */
+    resize() {
+        const rotation = this.projection.rotate();
 
-                break;
-            }
-        }
-    }
+        // Update the bounding box.
+        this.holderBoundingBox = this.measureHolder();
 
-    isCountryHighlighted(countryName) {
-        const countryGeoJson = this.getCountryGeoJson(countryName);
+        // Adjust the size of the canvas.
+        this.updateCanvasSize();
 
-        if (countryGeoJson !== undefined) {
-            const result = this.highlightedCountries.find(obj => obj.id === countryGeoJson.properties.id);
+        // Recreate the projection.
+        this.setupProjection();
+        this.projection.scale(this.baseProjectionScale * this.zoom);
 
-            if (result === undefined) {
-                return false;
-            }
+        // If we are zoomed in on a country or coordinate we center back on
+        // it, otherwise we keep the rotation of a drag or auto rotation.
+        if (this.zoomedCenter !== undefined) {
+            const [x, y] = this.zoomedCenter;
+            this.projection.rotate([-x, -y, rotation[2]]);
+        } else {
+            this.projection.rotate(rotation);
         }
 
-        return true;
+        this.render();
+        this.emit('viewchange', this.getView());
     }
 
     /**
-     * Highlight a specific region.
+     * Calculates the center and zoom level for any geojson object
+     * to be completely visible in the canvas.
      *
-     * @param {String}           regionName
-     * @param {String|undefined} color       optional
+     * @param  {Object} geojson
+     * @param  {Number} padding in pixels, defaults to the fit padding setting.
+     * @return {Object} { center: [longitude, latitude], zoom }
      */
-    highlightRegion(regionName, color) {
-        const countries = REGION_COUNTRY_MAP[regionName];
-
-        if (countries !== undefined) {
-            for (let i = 0; i < countries.length; i++) {
-                const country = countries[i];
+    calculateFit(geojson, padding = this.settings.fit.padding) {
+        const { center, scale } = fitGeoJson(geojson, this.holderBoundingBox.width, this.holderBoundingBox.height, {
+            padding,
+            minPartRatio: this.settings.fit.minPartRatio
+        });
 
-                this.highlightCountry(country, color, false);
-            }
+        // Never zoom out further than the whole globe or in further than allowed.
+        const zoom = Math.max(1, Math.min(this.settings.interaction.maxZoom, scale / this.baseProjectionScale));
 
-            this.render();
-        } else {
-            console.log(`The region of ${regionName} was not found in the continent list`);
-        }
+        return { center, zoom };
     }
 
     /**
-     * Unhighlight a specific region.
-     *
-     * @param {} regionName
+     * @param  {Number}  zoom
+     * @param  {Object}  options See runTransition().
+     * @return {Promise}
      */
-    unhighlightRegion(regionName) {
-        const countries = REGION_COUNTRY_MAP[regionName];
+    setZoom(zoom = null, options = {}) {
+        const vm = this;
 
-        if (countries !== undefined) {
-            for (let i = 0; i < countries.length; i++) {
-                const country = countries[i];
+        if (typeof zoom !== 'number' || zoom === this.zoom) {
+            return Promise.resolve({ cancelled: false });
+        }
 
-                this.unhighlightCountry(country, false);
-            }
+        const newScale = this.baseProjectionScale * zoom;
 
-            this.render();
-        } else {
-            console.log(`The region of ${regionName} was not found in the continent list`);
-        }
+        return this.runTransition('zoom', () => {
+            const interpolationScale = interpolate(vm.projection.scale(), newScale);
+
+            // Like animateTo(), set once the transition starts, after interrupting the running one.
+            vm.zoom = zoom;
+
+            return t => {
+                vm.projection.scale(interpolationScale(t));
+            };
+        }, options);
     }
 
     /**
-     * Center on a specific country.
+     * Find a country by its name, a common or historical alias
+     * or its ISO 3166 alpha-3, alpha-2 or numeric code.
+     *
+     * Subdivisions are found with the country and the name or id
+     * of the subdivision, like 'austria/tirol' or 'AUT/AT-7'.
      *
-     * @param {String} name Name of country.
+     * @param  {String|Number}    countryName
+     * @return {Object|undefined}
      */
-    centerOnCountry(name) {
-        this.zoomOn(name, this.zoom);
+    getCountryGeoJson(countryName) {
+        let key = String(countryName).trim().toLowerCase();
+
+        if (key.indexOf('/') !== -1) {
+            return this.getSubdivisionGeoJson(key);
+        }
+
+        // Numeric codes can be given as numbers or without the leading zeros.
+        if (/^\d{1,3}$/.test(key)) {
+            key = key.padStart(3, '0');
+        }
+
+        return this.countryIndex[key];
     }
 
     /**
-     * Zoom on a specific country or region.
-     *
-     * @param  {String} name
-     * @param  {Number} zoom
-     * @param  {Number} offsetX
-     * @param  {Number} offsetY
+     * @param  {String}           path 'country/subdivision'
+     * @return {Object|undefined}
      */
-    zoomOn(name, zoom, offsetX, offsetY) {
-        name = name.toLowerCase();
+    getSubdivisionGeoJson(path) {
+        const separator = path.indexOf('/');
+        const country = this.getCountryGeoJson(path.slice(0, separator));
 
-        if (this.regionToZoomFunction[name]) {
-            this.regionToZoomFunction[name](zoom, offsetX, offsetY);
-        } else {
-            this.zoomOnCountry(name, zoom, offsetX, offsetY);
+        if (country === undefined || this.subdivisions[country.properties.id] === undefined) {
+            return undefined;
         }
+
+        return this.subdivisions[country.properties.id].index[path.slice(separator + 1).trim().toLowerCase()];
     }
 
     /**
-     * Zoom on a specific country.
+     * Add the subdivisions of a country, like states or provinces. They are drawn,
+     * hovered and clicked instead of the country when zoomed in past the minZoom
+     * of the subdivision settings, and can be highlighted, bound to data and zoomed
+     * on like countries with 'country/subdivision' as the name.
      *
-     * @param {string}        countryName
-     * @param {String|Number} zoom
-     * @param {Number}        offsetX     in geo coordinates, not in pixels.
-     * @param {Number}        offsetY     in geo rotation coordinates, not in pixels.
+     * The features get the id 'COUNTRY_ID/SUBDIVISION_ID' and a country property
+     * with the id of the country.
+     *
+     * @param  {String|Number} countryName
+     * @param  {Object|String} source      TopoJSON topology, GeoJSON or the url of either.
+     * @param  {Object}        options     object, id and name, like the geodata settings.
+     * @return {Promise}       Resolves when the subdivisions are added, which is
+     *                         immediately when the source is not an url.
      */
-    zoomOnCountry(countryName, zoom = 'auto', offsetX = 0, offsetY = 0) {
-        const vm = this;
+    addSubdivisions(countryName, source, options = {}) {
+        const country = this.getCountryGeoJson(countryName);
 
-        const countryGeoJson = this.getCountryGeoJson(countryName);
+        if (country === undefined) {
+            this.warnUnknownCountry(countryName, 'add subdivisions to');
+            return Promise.resolve();
+        }
 
-        if (countryGeoJson !== undefined) {
-            this.zoomedCountry = countryName;
+        if (typeof source === 'string') {
+            return this.fetchGeodata(source).then(geodata => {
+                this.addSubdivisions(country.properties.id, geodata, options);
+            });
+        }
 
-            if (zoom === 'auto') {
-                zoom = this.calculateZoomLevelForFullscreenCountry(countryName, countryGeoJson);
-            }
+        const countryId = country.properties.id;
+        const { features, borders } = readGeodata(source, options);
+        const index = {};
 
-            // Do the transition.
-            transition().duration(1250).tween('centerOnCountry', () => {
-                const [x, y] = geoCentroid(countryGeoJson);
+        const subdivisions = features.map(feature => {
+            const subdivision = Object.assign({}, feature, {
+                properties: Object.assign({}, feature.properties, {
+                    id: countryId + '/' + feature.properties.id,
+                    country: countryId
+                })
+            });
 
-                // Create interpolation function.
-                const interpolateRotation = geoInterpolate(vm.projection.rotate(), [-x - offsetX, -y - offsetY]);
+            // Names take precedence over ids in case they clash.
+            index[subdivision.properties.name.toLowerCase()] = subdivision;
 
-                let interpolationScale;
+            return subdivision;
+        });
 
-                // If the zoom differs we will also animate that.
-                if (typeof zoom === 'number') {
-                    const newScale = this.baseProjectionScale * zoom;
-                    this.zoom = zoom;
+        for (let i = 0; i < features.length; i++) {
+            const key = String(features[i].properties.id).toLowerCase();
 
-                    interpolationScale = interpolate(vm.projection.scale(), newScale);
-                }
+            if (index[key] === undefined) {
+                index[key] = subdivisions[i];
+            }
+        }
 
-                return t => {
-                    vm.projection.rotate(interpolateRotation(t));
+        this.subdivisions[countryId] = {
+            features: subdivisions,
+            borders: borders !== null ? borders : { type: 'FeatureCollection', features: subdivisions },
+            index
+        };
 
-                    if (interpolationScale) {
-                        vm.projection.scale(interpolationScale(t));
-                    }
+        this.invalidateLayers();
+        this.render();
 
-                    vm.render();
-                };
-            });
-        } else {
-            console.log(`No iso code was found for ${countryName} so cannot zoom on it.`);
-        }
+        return Promise.resolve();
     }
 
-    resize() {
-        // Update the bounding box.
-        this.holderBoundingBox = this.holder.getBoundingClientRect();
+    /**
+     * @param {String|Number} countryName
+     */
+    removeSubdivisions(countryName) {
+        const country = this.getCountryGeoJson(countryName);
 
-        // Adjust the size of the canvas.
-        this.layers.canvas.node().width = this.holderBoundingBox.width;
-        this.layers.canvas.node().height = this.holderBoundingBox.height;
+        if (country !== undefined) {
+            delete this.subdivisions[country.properties.id];
+            this.invalidateLayers();
+            this.render();
+        }
+    }
 
-        // Recreate the projecction.
-        this.setupProjection();
+    /**
+     * Whether we are zoomed in far enough to show the subdivisions.
+     *
+     * @return {Boolean}
+     */
+    isDrilledIn() {
+        return this.projection.scale() / this.baseProjectionScale >= this.settings.subdivisions.minZoom;
+    }
 
-        // If we are zoomed in on a country we will have to adjust
-        // the new projection to center back on the country.
-        if (typeof this.zoomedCountry === 'string') {
-            const countryGeoJson = this.getCountryGeoJson(this.zoomedCountry);
-            const [x, y] = geoCentroid(countryGeoJson);
-            this.projection.rotate([-x, -y]).scale(this.baseProjectionScale * this.zoom);
+    /**
+     * All subdivisions that are drawn at the current zoom level.
+     *
+     * @return {Array.<Object>} Objects with features and borders.
+     */
+    getDrilledSubdivisions() {
+        if (this.projection === undefined || !this.isDrilledIn()) {
+            return [];
         }
 
-        this.render();
+        return Object.keys(this.subdivisions).map(id => this.subdivisions[id]);
     }
 
     /**
-     * Calculates the correct zoom level for a country to be
-     * completely visible in the canvas.
+     * Create the lookup table used by getCountryGeoJson().
      *
-     * @param  {String} countryName
-     * @param  {Object} countryGeoJson
-     * @return {Number}
+     * Names of the atlas take precedence over aliases, which
+     * take precedence over codes in case any of them clash.
+     *
+     * @return {Object.<Object>}
      */
-    calculateZoomLevelForFullscreenCountry(countryName, countryGeoJson) {
-        let zoomlevel;
-
-        // For some reason the calculation for the correct zoom level
-        // is way too zoomed in for some countries, so I have defined
-        // here a list of correct zoom levels for those specific
-        // countries.
-        const predefinedFillZoomLevels = {
-            australia: 2.5,
-            germany: 14,
-            ireland: 20,
-            mexico: 3.8,
-            sweden: 8,
-            'united states': 2
-        };
+    createCountryIndex() {
+        const index = {};
+        const byId = {};
 
-        if (predefinedFillZoomLevels[countryName]) {
-            zoomlevel = predefinedFillZoomLevels[countryName];
-        } else {
-            const tempProjection = geoOrthographic().fitExtent([[0, 0], [this.holderBoundingBox.width, this.holderBoundingBox.height]], countryGeoJson);
+        const add = (key, country) => {
+            if (typeof key === 'string' && index[key.toLowerCase()] === undefined) {
+                index[key.toLowerCase()] = country;
+            }
+        };
 
-            // Correction factor because the tempProjection is always
-            // a bit zoomed in too much on the selected country.
-            const correctionFactor = 0.65;
+        for (let i = 0; i < this.countriesGeoJson.length; i++) {
+            const country = this.countriesGeoJson[i];
 
-            zoomlevel = (tempProjection.scale() / this.baseProjectionScale) * correctionFactor;
+            byId[country.properties.id] = country;
+            add(country.properties.name, country);
         }
 
-        if (zoomlevel < 1) {
-            return 1;
+        Object.keys(COUNTRY_ALIASES).forEach(alias => {
+            add(alias, byId[COUNTRY_ALIASES[alias]]);
+        });
+
+        for (let i = 0; i < this.countriesGeoJson.length; i++) {
+            const country = this.countriesGeoJson[i];
+            const codes = COUNTRY_CODES[country.properties.id];
+
+            // The id in the atlas is not always the official code (Greenland, Kosovo).
+            add(country.properties.id, country);
+
+            if (codes !== undefined) {
+                add(codes.alpha3, country);
+                add(codes.alpha2, country);
+                add(codes.numeric, country);
+            }
         }
 
-        return zoomlevel;
+        return index;
     }
 
     /**
-     * @param {Number} zoom
+     * Report a problem to the onWarning callback.
+     *
+     * @param {String} code    Machine readable type of the warning.
+     * @param {String} message
+     * @param {Object} details optional, merged into the warning.
      */
-    setZoom(zoom = null) {
-        const vm = this;
-
-        if (typeof zoom === 'number' && zoom !== this.zoom) {
-            const newScale = this.baseProjectionScale * zoom;
-            this.zoom = zoom;
-
-            const interpolationScale = interpolate(vm.projection.scale(), newScale);
+    warn(code, message, details = {}) {
+        const warning = Object.assign({ code, message }, details);
 
-            transition().duration(1250).tween('zoom', () => {
-                return t => {
-                    vm.projection.scale(interpolationScale(t));
-                    vm.render();
-                };
-            });
+        if (typeof this.settings.onWarning === 'function') {
+            this.settings.onWarning(warning);
+        } else {
+            console.warn(message);
         }
     }
 
     /**
-     * @param  {String} countryName
-     * @return {Object}
+     * @param {String} name
+     * @param {String} action What we tried to do with the region.
      */
-    getCountryGeoJson(countryName) {
-        countryName = countryName.toLowerCase();
-
-        const countryGeoJson = this.countriesGeoJson.find(country => {
-            return country.properties.name.toLowerCase() === countryName;
-        });
+    warnUnknownRegion(name, action) {
+        this.warn('unknown-region', `The region of ${name} was not found so cannot ${action} it.`, { name, action });
+    }
 
-        return countryGeoJson;
+    /**
+     * @param {String|Number} name
+     * @param {String}        action What we tried to do with the country.
+     */
+    warnUnknownCountry(name, action) {
+        this.warn('unknown-country', `No country was found for ${name} so cannot ${action} it.`, { name, action });
     }
 
     /**
      * Zooming api.
+     *
+     * The region helpers below fit the region in the canvas unless a zoom level is given.
+     * Like all camera methods they take the options of runTransition() and return a Promise.
      */
-    resetZoom() {
-        this.setZoom(1);
+    resetZoom(options) {
+        return this.setZoom(1, options);
     }
 
-    zoomOnAfrica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('central african republic', zoomlevel || 1.5, 0 + offsetX, -2 + offsetY);
+    zoomOnAfrica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('africa', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnAntarctica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('antarctica', zoomlevel || 2.1, offsetX, offsetY);
+    zoomOnAntarctica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnCountry('antarctica', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnAsia(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('india', zoomlevel || 1.2, offsetX, offsetY);
+    zoomOnAsia(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('asia', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnAustraliaAndNewZealand(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('australia', zoomlevel || 1.8, 10 + offsetX, offsetY);
+    zoomOnAustraliaAndNewZealand(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('australia and new zealand', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnEurope(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('germany', zoomlevel || 2.8, offsetX, offsetY);
+    zoomOnEurope(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('europe', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnMiddleEast(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('iraq', zoomlevel || 2.4, offsetX, offsetY);
+    zoomOnMiddleEast(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('middle east', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnNorthernAfrica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('niger', zoomlevel || 2.4, offsetX, offsetY);
+    zoomOnNorthernAfrica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('northern africa', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnCaribbean(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('cuba', zoomlevel || 3.5, offsetX, offsetY);
+    zoomOnCaribbean(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('caribbean', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnCentralAsia(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('uzbekistan', zoomlevel || 3.5, offsetX, offsetY);
+    zoomOnCentralAsia(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('central asia', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnCentralAmerica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('honduras', zoomlevel || 3.5, offsetX, offsetY);
+    zoomOnCentralAmerica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('central america', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnEasternAsia(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('china', zoomlevel || 2, offsetX, offsetY);
+    zoomOnEasternAsia(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('eastern asia', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnEasternEurope(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('romania', zoomlevel || 5.4, offsetX, offsetY);
+    zoomOnEasternEurope(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('eastern europe', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnNorthAmerica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('united states', zoomlevel || 1.4, offsetX, offsetY);
+    zoomOnNorthAmerica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('north america', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnNorthernEurope(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('sweden', zoomlevel || 4.4, offsetX, offsetY);
+    zoomOnNorthernEurope(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('northern europe', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnSouthernAfrica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('botswana', zoomlevel || 2.4, offsetX, offsetY);
+    zoomOnSouthernAfrica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('southern africa', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnSouthernAsia(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('pakistan', zoomlevel || 2.4, offsetX, offsetY);
+    zoomOnSouthernAsia(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('southern asia', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnSouthAmerica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('bolivia', zoomlevel || 1.6, 0 + offsetX, -3.5 + offsetY);
+    zoomOnSouthAmerica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('south america', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnSouthernEurope(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('italy', zoomlevel || 4.4, -8 + offsetX, offsetY);
+    zoomOnSouthernEurope(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('southern europe', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnSouthEasternAsia(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('indonesia', zoomlevel || 2, -2 + offsetX, offsetY);
+    zoomOnSouthEasternAsia(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('south-eastern asia', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnWesternAfrica(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('burkina faso', zoomlevel || 2.4, 5 + offsetX, offsetY);
+    zoomOnWesternAfrica(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('western africa', zoomlevel, offsetX, offsetY, options);
     }
 
-    zoomOnWesternEurope(zoomlevel, offsetX = 0, offsetY = 0) {
-        this.zoomOnCountry('belgium', zoomlevel || 4.4, offsetX, offsetY);
+    zoomOnWesternEurope(zoomlevel, offsetX = 0, offsetY = 0, options = {}) {
+        return this.zoomOnRegion('western europe', zoomlevel, offsetX, offsetY, options);
     }
 }
@@ -0,0 +1,253 @@
+/**
+ * HTML legend for the choropleth colors, positioned over the holder of the globe.
+ */
+export default class Legend {
+    /**
+     * @param {Object} document
+     * @param {DOM}    holder
+     * @param {Object} settings
+     */
+    constructor(document, holder, settings) {
+        /**
+         * @type {Object}
+         */
+        this.document = document;
+
+        /**
+         * @type {Object}
+         */
+        this.settings = settings;
+
+        /**
+         * @type {DOM}
+         */
+        this.holder = holder;
+
+        /**
+         * Inline position of the holder to restore when the legend is destroyed, null when we did not change it.
+         *
+         * @type {String|null}
+         */
+        this.holderPosition = null;
+
+        // Absolute positioning only works within a positioned holder.
+        if (document.defaultView.getComputedStyle(holder).position === 'static') {
+            this.holderPosition = holder.style.position;
+            holder.style.position = 'relative';
+        }
+
+        /**
+         * @type {DOM}
+         */
+        this.element = document.createElement('div');
+        this.element.className = settings.className;
+
+        const style = this.element.style;
+        style.position = 'absolute';
+        style.zIndex = 1;
+
+        // Position is given as 'bottom-left', 'top-right' etc.
+        const [vertical, horizontal] = settings.position.split('-');
+        style[vertical] = '10px';
+        style[horizontal] = '10px';
+
+        if (settings.defaultStyle === true) {
+            style.background = 'rgba(255, 255, 255, 0.85)';
+            style.font = '11px sans-serif';
+            style.padding = '6px 8px';
+            style.width = settings.width + 'px';
+        }
+
+        holder.appendChild(this.element);
+    }
+
+    /**
+     * Redraw the legend for a color scale.
+     *
+     * @param {Object}   scale
+     * @param {String}   scale.type
+     * @param {Array}    scale.domain
+     * @param {Array}    scale.colors
+     * @param {Function} colorScale  Maps a value to a color.
+     * @param {String}   noDataColor Leave null to hide the no data entry.
+     */
+    update(scale, colorScale, noDataColor) {
+        const element = this.element;
+
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+
+        if (this.settings.title) {
+            const title = this.createElement('div', 'title');
+            title.textContent = this.settings.title;
+            title.style.marginBottom = '4px';
+            element.appendChild(title);
+        }
+
+        if (scale.type === 'threshold') {
+            this.drawThresholds(scale.domain, scale.colors);
+        } else {
+            this.drawGradient(scale.domain, colorScale);
+        }
+
+        if (noDataColor !== null) {
+            element.appendChild(this.createSwatch(noDataColor, this.settings.noDataLabel));
+        }
+    }
+
+    /**
+     * @param {Array.<Number>} domain
+     * @param {Function}       colorScale
+     */
+    drawGradient(domain, colorScale) {
+        const min = domain[0];
+        const max = domain[domain.length - 1];
+
+        // Sample the scale so diverging and multi color scales are drawn correctly.
+        const stops = [];
+
+        for (let i = 0; i <= 10; i++) {
+            const value = min + ((max - min) * (i / 10));
+            stops.push(`${colorScale(value)} ${i * 10}%`);
+        }
+
+        const bar = this.createElement('div', 'bar');
+        bar.style.height = '10px';
+        bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        this.element.appendChild(bar);
+
+        const ticks = this.createElement('div', 'ticks');
+        ticks.style.position = 'relative';
+        ticks.style.height = '14px';
+
+        const tickValues = this.getTickValues(min, max);
+
+        for (let i = 0; i < tickValues.length; i++) {
+            const value = tickValues[i];
+            const percentage = max === min ? 0 : ((value - min) / (max - min)) * 100;
+
+            const tick = this.createElement('span', 'tick');
+            tick.textContent = this.format(value);
+            tick.style.position = 'absolute';
+            tick.style.top = '2px';
+            tick.style.left = percentage + '%';
+
+            // Keep the outer labels within the bar.
+            if (percentage <= 0) {
+                tick.style.transform = 'none';
+            } else if (percentage >= 100) {
+                tick.style.transform = 'translateX(-100%)';
+            } else {
+                tick.style.transform = 'translateX(-50%)';
+            }
+
+            ticks.appendChild(tick);
+        }
+
+        this.element.appendChild(ticks);
+    }
+
+    /**
+     * @param {Array.<Number>} thresholds
+     * @param {Array.<String>} colors
+     */
+    drawThresholds(thresholds, colors) {
+        for (let i = 0; i < colors.length; i++) {
+            let label;
+
+            if (i === 0) {
+                label = '< ' + this.format(thresholds[0]);
+            } else if (i >= thresholds.length) {
+                label = '≥ ' + this.format(thresholds[thresholds.length - 1]);
+            } else {
+                label = this.format(thresholds[i - 1]) + ' – ' + this.format(thresholds[i]);
+            }
+
+            this.element.appendChild(this.createSwatch(colors[i], label));
+        }
+    }
+
+    /**
+     * @param  {Number} min
+     * @param  {Number} max
+     * @return {Array.<Number>}
+     */
+    getTickValues(min, max) {
+        if (Array.isArray(this.settings.tickValues)) {
+            return this.settings.tickValues;
+        }
+
+        const count = Math.max(2, this.settings.ticks);
+        const values = [];
+
+        for (let i = 0; i < count; i++) {
+            values.push(min + ((max - min) * (i / (count - 1))));
+        }
+
+        return values;
+    }
+
+    /**
+     * @param  {Number} value
+     * @return {String}
+     */
+    format(value) {
+        if (typeof this.settings.format === 'function') {
+            return this.settings.format(value);
+        }
+
+        return value.toLocaleString();
+    }
+
+    /**
+     * @param  {String} color
+     * @param  {String} label
+     * @return {DOM}
+     */
+    createSwatch(color, label) {
+        const row = this.createElement('div', 'item');
+        row.style.marginTop = '2px';
+
+        const swatch = this.createElement('span', 'swatch');
+        swatch.style.display = 'inline-block';
+        swatch.style.width = '10px';
+        swatch.style.height = '10px';
+        swatch.style.marginRight = '4px';
+        swatch.style.verticalAlign = 'middle';
+        swatch.style.background = color;
+
+        const text = this.createElement('span', 'label');
+        text.textContent = label;
+
+        row.appendChild(swatch);
+        row.appendChild(text);
+
+        return row;
+    }
+
+    /**
+     * @param  {String} tagName
+     * @param  {String} name    Suffix of the class name.
+     * @return {DOM}
+     */
+    createElement(tagName, name) {
+        const element = this.document.createElement(tagName);
+        element.className = this.settings.className + '-' + name;
+
+        return element;
+    }
+
+    /**
+     * Remove the legend from the DOM.
+     */
+    destroy() {
+        if (this.element.parentNode !== null) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        if (this.holderPosition !== null) {
+            this.holder.style.position = this.holderPosition;
+        }
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Simple HTML tooltip positioned over the holder of the globe.
+ */
+export default class Tooltip {
+    /**
+     * @param {Object} document
+     * @param {DOM}    holder
+     * @param {Object} settings
+     */
+    constructor(document, holder, settings) {
+        /**
+         * @type {DOM}
+         */
+        this.holder = holder;
+
+        /**
+         * @type {Object}
+         */
+        this.settings = settings;
+
+        /**
+         * @type {Boolean}
+         */
+        this.visible = false;
+
+        /**
+         * Inline position of the holder to restore when the tooltip is destroyed, null when we did not change it.
+         *
+         * @type {String|null}
+         */
+        this.holderPosition = null;
+
+        // Absolute positioning only works within a positioned holder.
+        if (document.defaultView.getComputedStyle(holder).position === 'static') {
+            this.holderPosition = holder.style.position;
+            holder.style.position = 'relative';
+        }
+
+        /**
+         * @type {DOM}
+         */
+        this.element = document.createElement('div');
+        this.element.className = settings.className;
+
+        const style = this.element.style;
+        style.position = 'absolute';
+        style.top = '0';
+        style.left = '0';
+        style.pointerEvents = 'none';
+        style.display = 'none';
+        style.zIndex = 1;
+
+        if (settings.defaultStyle === true) {
+            style.background = '#FFF';
+            style.boxShadow = '0 0 5px 0px rgba(0, 0, 0, 0.25)';
+            style.font = '12px sans-serif';
+            style.padding = '4px 8px';
+            style.whiteSpace = 'nowrap';
+        }
+
+        holder.appendChild(this.element);
+    }
+
+    /**
+     * @param {String} html
+     * @param {Number} x    in pixels relative to the holder.
+     * @param {Number} y    in pixels relative to the holder.
+     */
+    show(html, x, y) {
+        this.element.innerHTML = html;
+        this.element.style.display = 'block';
+        this.visible = true;
+
+        this.move(x, y);
+    }
+
+    /**
+     * Move the tooltip next to a point, flipping it to the other side
+     * of the point when it would stick out of the holder.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     */
+    move(x, y) {
+        if (this.visible === false) {
+            return;
+        }
+
+        const offset = this.settings.offset;
+        const width = this.element.offsetWidth;
+        const height = this.element.offsetHeight;
+        const bounds = this.holder.getBoundingClientRect();
+
+        let left = x + offset;
+        let top = y + offset;
+
+        if (left + width > bounds.width) {
+            left = x - offset - width;
+        }
+
+        if (top + height > bounds.height) {
+            top = y - offset - height;
+        }
+
+        // When it does not fit on either side keep it at the edge of the holder.
+        left = Math.max(0, left);
+        top = Math.max(0, top);
+
+        this.element.style.transform = `translate(${left}px, ${top}px)`;
+    }
+
+    hide() {
+        if (this.visible === true) {
+            this.element.style.display = 'none';
+            this.visible = false;
+        }
+    }
+
+    /**
+     * Remove the tooltip from the DOM.
+     */
+    destroy() {
+        if (this.element.parentNode !== null) {
+            this.element.parentNode.removeChild(this.element);
+        }
+
+        if (this.holderPosition !== null) {
+            this.holder.style.position = this.holderPosition;
+        }
+    }
+}
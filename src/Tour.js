@@ -0,0 +1,408 @@
+import EventEmitter from './EventEmitter';
+
+/**
+ * A sequence of views on a globe, played automatically or bound to the scroll position.
+ *
+ * Every step declares the whole state it needs, a step that leaves out highlights
+ * or data uses those of the step before it. Going to a step therefore always
+ * ends up in the same state, whether we move forwards or backwards.
+ *
+ * Events: play, pause, progress, stepend and end, see on().
+ */
+export default class Tour extends EventEmitter {
+    /**
+     * @param {GlobeMap}        globe
+     * @param {Array.<Object>}  steps
+     * @param {String|Array}    steps[].target     Country or region name, or [longitude, latitude].
+     * @param {String|Number}   steps[].zoom       'auto' fits a country or region, defaults to
+     *                                             fitting a country, the zoom of a region or
+     *                                             the current zoom for coordinates.
+     * @param {Number}          steps[].offsetX    in geo coordinates.
+     * @param {Number}          steps[].offsetY    in geo coordinates.
+     * @param {Array|Object}    steps[].highlight  Names, or an object with names as keys and colors
+     *                                             as values. An empty array removes all highlights.
+     * @param {Object|Array}    steps[].data       See GlobeMap.setData(), null removes the data.
+     * @param {Object}          steps[].dataOptions
+     * @param {Number}          steps[].duration   of the transition in milliseconds.
+     * @param {Function}        steps[].easing
+     * @param {Boolean}         steps[].smooth
+     * @param {Number}          steps[].pause      Milliseconds to wait before the next step when playing.
+     * @param {Object}          settings
+     */
+    constructor(globe, steps, settings) {
+        super();
+
+        /**
+         * @type {GlobeMap}
+         */
+        this.globe = globe;
+
+        /**
+         * @type {Array.<Object>}
+         */
+        this.steps = steps;
+
+        /**
+         * @type {Object}
+         */
+        this.settings = settings;
+
+        /**
+         * Index of the current step, -1 before the tour started.
+         *
+         * @type {Number}
+         */
+        this.index = -1;
+
+        /**
+         * @type {Boolean}
+         */
+        this.playing = false;
+
+        /**
+         * Highlights applied by the tour, by name.
+         *
+         * @type {Object.<String>}
+         */
+        this.appliedHighlights = {};
+
+        /**
+         * The data applied by the tour, so we only set it again when it changes.
+         *
+         * @type {Object|Array|null}
+         */
+        this.appliedData = null;
+
+        this.pauseTimeout = null;
+
+        /**
+         * Removes the scroll listeners added by bindScroll().
+         *
+         * @type {Function|null}
+         */
+        this.unbindScrollListeners = null;
+    }
+
+    /**
+     * Play the tour from the current step, or from the start when it has not started yet.
+     *
+     * @return {Tour}
+     */
+    play() {
+        if (this.playing || this.steps.length === 0) {
+            return this;
+        }
+
+        this.playing = true;
+        this.emit('play', this.createEvent());
+
+        // Start over when the tour was played to the end.
+        const index = this.index === -1 || this.index === this.steps.length - 1 ? 0 : this.index;
+
+        this.playStep(index);
+
+        return this;
+    }
+
+    /**
+     * Stop playing, the current transition still finishes.
+     *
+     * @return {Tour}
+     */
+    pause() {
+        if (this.playing === false) {
+            return this;
+        }
+
+        this.playing = false;
+
+        clearTimeout(this.pauseTimeout);
+        this.pauseTimeout = null;
+
+        this.emit('pause', this.createEvent());
+
+        return this;
+    }
+
+    /**
+     * @return {Promise}
+     */
+    next() {
+        return this.goTo(Math.min(this.index + 1, this.steps.length - 1));
+    }
+
+    /**
+     * @return {Promise}
+     */
+    prev() {
+        return this.goTo(Math.max(this.index - 1, 0));
+    }
+
+    /**
+     * Go to a step.
+     *
+     * @param  {Number}  index
+     * @return {Promise} Resolves like the camera methods of the globe when the step is reached.
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.steps.length) {
+            return Promise.resolve({ cancelled: true });
+        }
+
+        this.index = index;
+
+        // Going to a step by hand interrupts the playing, so we don't wait for a timer
+        // that was meant for another step.
+        clearTimeout(this.pauseTimeout);
+        this.pauseTimeout = null;
+
+        this.applyHighlights(this.resolve('highlight', index));
+        this.applyData(this.resolve('data', index), this.resolve('dataOptions', index));
+
+        this.emit('progress', this.createEvent());
+
+        return this.moveCamera(this.steps[index]).then(result => {
+            if (!result.cancelled) {
+                this.emit('stepend', this.createEvent());
+            }
+
+            return result;
+        });
+    }
+
+    /**
+     * Go to a step and continue to the next one after its pause.
+     *
+     * @param {Number} index
+     */
+    playStep(index) {
+        this.goTo(index).then(result => {
+            // Something else moved the globe or the tour in the meantime.
+            if (result.cancelled || this.playing === false || this.index !== index) {
+                return;
+            }
+
+            if (index === this.steps.length - 1) {
+                this.playing = false;
+                this.emit('end', this.createEvent());
+                return;
+            }
+
+            const step = this.steps[index];
+            const pause = typeof step.pause === 'number' ? step.pause : this.settings.pause;
+
+            this.pauseTimeout = setTimeout(() => {
+                this.pauseTimeout = null;
+                this.playStep(index + 1);
+            }, pause);
+        });
+    }
+
+    /**
+     * @param  {Object}  step
+     * @return {Promise}
+     */
+    moveCamera(step) {
+        const options = {
+            duration: step.duration,
+            easing: step.easing,
+            smooth: step.smooth
+        };
+
+        if (Array.isArray(step.target)) {
+            return this.globe.flyTo(Object.assign(options, {
+                center: step.target,
+                zoom: step.zoom
+            }));
+        }
+
+        if (step.target !== undefined) {
+            return this.globe.zoomOn(step.target, step.zoom, step.offsetX, step.offsetY, options);
+        }
+
+        if (typeof step.zoom === 'number') {
+            return this.globe.setZoom(step.zoom, options);
+        }
+
+        return Promise.resolve({ cancelled: false });
+    }
+
+    /**
+     * Find the value of a property for a step, falling back to earlier steps.
+     *
+     * @param  {String} property
+     * @param  {Number} index
+     * @return {*}      undefined when none of the steps up to the index has it.
+     */
+    resolve(property, index) {
+        for (let i = index; i >= 0; i--) {
+            if (this.steps[i][property] !== undefined) {
+                return this.steps[i][property];
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Change the highlights applied by the tour to the given ones.
+     *
+     * @param {Array|Object|undefined} highlight
+     */
+    applyHighlights(highlight) {
+        const wanted = {};
+
+        if (Array.isArray(highlight)) {
+            for (let i = 0; i < highlight.length; i++) {
+                wanted[highlight[i]] = undefined;
+            }
+        } else if (highlight !== undefined && highlight !== null) {
+            Object.assign(wanted, highlight);
+        }
+
+        const applied = this.appliedHighlights;
+        const appliedNames = Object.keys(applied);
+
+        for (let i = 0; i < appliedNames.length; i++) {
+            const name = appliedNames[i];
+
+            if (!(name in wanted) || wanted[name] !== applied[name]) {
+                this.globe.unhighlight(name);
+            }
+        }
+
+        const wantedNames = Object.keys(wanted);
+
+        for (let i = 0; i < wantedNames.length; i++) {
+            const name = wantedNames[i];
+
+            if (!(name in applied) || wanted[name] !== applied[name]) {
+                this.globe.highlight(name, wanted[name]);
+            }
+        }
+
+        this.appliedHighlights = wanted;
+    }
+
+    /**
+     * @param {Object|Array|null|undefined} data
+     * @param {Object|undefined}            options
+     */
+    applyData(data, options) {
+        if (data === undefined) {
+            data = null;
+        }
+
+        if (data === this.appliedData) {
+            return;
+        }
+
+        if (data === null) {
+            this.globe.clearData();
+        } else {
+            this.globe.setData(data, options);
+        }
+
+        this.appliedData = data;
+    }
+
+    /**
+     * Go to the step of the article element that last passed a line on the screen.
+     *
+     * @param  {String|Array.<DOM>} elements CSS selector or elements, one for each step.
+     * @param  {Object}             options
+     * @param  {Number}             options.offset Position of the line as a fraction
+     *                                             of the viewport height.
+     * @return {Tour}
+     */
+    bindScroll(elements, options = {}) {
+        const document = this.globe.document;
+        const view = document.defaultView;
+        const offset = typeof options.offset === 'number' ? options.offset : this.settings.scrollOffset;
+        const nodes = typeof elements === 'string'
+            ? Array.prototype.slice.call(document.querySelectorAll(elements))
+            : Array.prototype.slice.call(elements);
+
+        let frame = null;
+
+        const update = () => {
+            frame = null;
+
+            const line = view.innerHeight * offset;
+            let index = -1;
+
+            for (let i = 0; i < nodes.length && i < this.steps.length; i++) {
+                if (nodes[i].getBoundingClientRect().top <= line) {
+                    index = i;
+                }
+            }
+
+            if (index !== -1 && index !== this.index) {
+                this.pause();
+                this.goTo(index);
+            }
+        };
+
+        // Don't do the work more than once per frame while scrolling.
+        const onScroll = () => {
+            if (frame === null) {
+                frame = view.requestAnimationFrame(update);
+            }
+        };
+
+        this.unbindScroll();
+
+        view.addEventListener('scroll', onScroll, { passive: true });
+        view.addEventListener('resize', onScroll);
+
+        this.unbindScrollListeners = () => {
+            view.removeEventListener('scroll', onScroll, { passive: true });
+            view.removeEventListener('resize', onScroll);
+            view.cancelAnimationFrame(frame);
+        };
+
+        update();
+
+        return this;
+    }
+
+    /**
+     * @return {Tour}
+     */
+    unbindScroll() {
+        if (this.unbindScrollListeners !== null) {
+            this.unbindScrollListeners();
+            this.unbindScrollListeners = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * Stop the tour and remove the highlights and data it applied.
+     */
+    destroy() {
+        this.pause();
+        this.unbindScroll();
+
+        this.applyHighlights(undefined);
+        this.applyData(null);
+
+        this.globe.tours = this.globe.tours.filter(tour => tour !== this);
+        this.eventHandlers = {};
+    }
+
+    /**
+     * @return {Object}
+     */
+    createEvent() {
+        const total = this.steps.length;
+
+        return {
+            index: this.index,
+            step: this.steps[this.index],
+            total,
+            progress: total > 1 ? Math.max(0, this.index) / (total - 1) : 1
+        };
+    }
+}
@@ -0,0 +1,56 @@
+import { interpolateRgb, piecewise } from '../node_modules/d3-interpolate/dist/d3-interpolate.min';
+
+/**
+ * Create a function that maps a value to a color.
+ *
+ * Supported types:
+ * - sequential: domain [min, max], colors are interpolated evenly over the domain.
+ * - diverging:  domain [min, mid, max], the first half of the colors is used
+ *               below the mid value and the second half above it.
+ * - threshold:  domain [t1, t2, ...], needs one color more than there are thresholds.
+ *
+ * @param  {Object}         config
+ * @param  {String}         config.type
+ * @param  {Array.<Number>} config.domain
+ * @param  {Array.<String>} config.colors
+ * @return {Function}
+ */
+export default function createColorScale({ type, domain, colors }) {
+    if (type === 'threshold') {
+        return value => {
+            let i = 0;
+
+            while (i < domain.length && value >= domain[i]) {
+                i++;
+            }
+
+            return colors[Math.min(i, colors.length - 1)];
+        };
+    }
+
+    const interpolator = piecewise(interpolateRgb, colors);
+
+    if (type === 'diverging') {
+        const [min, mid, max] = domain;
+
+        return value => {
+            let t;
+
+            if (value < mid) {
+                t = min === mid ? 0.5 : 0.5 * ((value - min) / (mid - min));
+            } else {
+                t = max === mid ? 0.5 : 0.5 + (0.5 * ((value - mid) / (max - mid)));
+            }
+
+            return interpolator(Math.max(0, Math.min(1, t)));
+        };
+    }
+
+    const [min, max] = domain;
+
+    return value => {
+        const t = max === min ? 1 : (value - min) / (max - min);
+
+        return interpolator(Math.max(0, Math.min(1, t)));
+    };
+}
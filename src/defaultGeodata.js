@@ -0,0 +1,13 @@
+// From https://github.com/alexabruck/worldmap-sensitive
+import WORLD_ATLAS from './world2-topo.json';
+
+/**
+ * The geodata used when the settings have none, bundled with the library.
+ *
+ * The lazy build replaces this module with defaultGeodata.lazy.js.
+ *
+ * @return {Object|String} Geodata or its url.
+ */
+export default function loadDefaultGeodata() {
+    return WORLD_ATLAS;
+}
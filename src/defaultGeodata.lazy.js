@@ -0,0 +1,18 @@
+/**
+ * The lazy build copies the atlas next to the library, so we look for it
+ * next to the script. The current script is only known while the script
+ * runs, and not at all for ES modules, which have to set the geodata url.
+ *
+ * @type {String}
+ */
+const script = typeof document !== 'undefined' ? document.currentScript : null;
+const ATLAS_URL = (script && script.src ? script.src.replace(/[^/]*$/, '') : '') + 'world2-topo.json';
+
+/**
+ * Fetch the default geodata on init() instead of bundling it.
+ *
+ * @return {Object|String} Geodata or its url.
+ */
+export default function loadDefaultGeodata() {
+    return ATLAS_URL;
+}
@@ -0,0 +1,117 @@
+import {
+    geoArea,
+    geoBounds,
+    geoOrthographic,
+    geoPath
+} from '../node_modules/d3-geo/dist/d3-geo.min';
+
+/**
+ * Remove the polygons of each feature that are much smaller than
+ * its largest polygon, like Hawaii for the United States or the
+ * overseas departments of France.
+ *
+ * @param  {Object} geojson
+ * @param  {Number} ratio   Minimum area of a polygon relative to the largest one.
+ * @return {Object}
+ */
+export function removeSmallParts(geojson, ratio) {
+    if (geojson === null) {
+        return geojson;
+    }
+
+    switch (geojson.type) {
+    case 'FeatureCollection':
+        return Object.assign({}, geojson, {
+            features: geojson.features.map(feature => removeSmallParts(feature, ratio))
+        });
+
+    case 'Feature':
+        return Object.assign({}, geojson, {
+            geometry: removeSmallParts(geojson.geometry, ratio)
+        });
+
+    case 'GeometryCollection':
+        return Object.assign({}, geojson, {
+            geometries: geojson.geometries.map(geometry => removeSmallParts(geometry, ratio))
+        });
+
+    case 'MultiPolygon': {
+        const areas = geojson.coordinates.map(polygon => geoArea({ type: 'Polygon', coordinates: polygon }));
+        const minArea = Math.max(...areas) * ratio;
+
+        return Object.assign({}, geojson, {
+            coordinates: geojson.coordinates.filter((polygon, i) => areas[i] >= minArea)
+        });
+    }
+
+    default:
+        return geojson;
+    }
+}
+
+/**
+ * @param  {Array.<Array.<Number>>} bounds As returned by geoBounds().
+ * @return {Array.<Number>}         [longitude, latitude]
+ */
+export function getBoundsCenter([[west, south], [east, north]]) {
+    // When the bounds cross the antimeridian the west is larger than the east.
+    let longitude = west <= east ? (west + east) / 2 : (west + east + 360) / 2;
+
+    if (longitude > 180) {
+        longitude -= 360;
+    }
+
+    return [longitude, (south + north) / 2];
+}
+
+/**
+ * Calculate the center and scale of an orthographic projection to fit
+ * any geojson object within a width and height.
+ *
+ * The center is based on the spherical bounds so geometries that cross the
+ * antimeridian (Russia, Fiji) are centered correctly, and is then adjusted
+ * to the middle of what is actually visible on the globe.
+ *
+ * @param  {Object} geojson
+ * @param  {Number} width
+ * @param  {Number} height
+ * @param  {Object} options
+ * @param  {Number} options.padding      in pixels.
+ * @param  {Number} options.minPartRatio See removeSmallParts().
+ * @return {Object} { center: [longitude, latitude], scale }
+ */
+export default function fitGeoJson(geojson, width, height, { padding = 0, minPartRatio = 0 } = {}) {
+    const target = minPartRatio > 0 ? removeSmallParts(geojson, minPartRatio) : geojson;
+
+    // Project at scale 1 around [0, 0] so the bounds are relative to the center.
+    const projection = geoOrthographic().scale(1).translate([0, 0]);
+    const path = geoPath(projection);
+
+    let center = getBoundsCenter(geoBounds(target));
+    projection.rotate([-center[0], -center[1]]);
+
+    let [[x0, y0], [x1, y1]] = path.bounds(target);
+
+    // The middle of the geographic bounds is not always the middle of the
+    // projected shape, so center once more on the projected bounds.
+    const projectedCenter = projection.invert([(x0 + x1) / 2, (y0 + y1) / 2]);
+
+    if (projectedCenter && Number.isFinite(projectedCenter[0]) && Number.isFinite(projectedCenter[1])) {
+        center = projectedCenter;
+        projection.rotate([-center[0], -center[1]]);
+
+        [[x0, y0], [x1, y1]] = path.bounds(target);
+    }
+
+    const halfWidth = Math.max(Math.abs(x0), Math.abs(x1));
+    const halfHeight = Math.max(Math.abs(y0), Math.abs(y1));
+    const availableWidth = Math.max((width / 2) - padding, 1);
+    const availableHeight = Math.max((height / 2) - padding, 1);
+
+    const scale = Math.min(
+        halfWidth > 0 ? availableWidth / halfWidth : Infinity,
+        halfHeight > 0 ? availableHeight / halfHeight : Infinity
+    );
+
+    return { center, scale };
+}
@@ -0,0 +1,113 @@
+import {
+    geoArea,
+    geoCentroid,
+    geoContains
+} from '../node_modules/d3-geo/dist/d3-geo.min';
+
+/**
+ * Latitudes, as fractions of the height of a polygon, on which we look for
+ * the widest part when its centroid lies outside of it.
+ *
+ * @type {Array.<Number>}
+ */
+const SCANLINES = [0.5, 0.3, 0.7, 0.15, 0.85];
+
+/**
+ * Find a point inside a polygon to place its label on.
+ *
+ * The centroid is used when it lies inside the polygon, which it does for most
+ * countries. For shapes like Chile or Croatia it does not, so we use the middle
+ * of the widest part of the polygon on one of a few latitudes instead.
+ *
+ * @param  {Array.<Array>} polygon Coordinates of a GeoJSON polygon.
+ * @return {Array.<Number>} [longitude, latitude]
+ */
+function polygonLabelPoint(polygon) {
+    const geometry = { type: 'Polygon', coordinates: polygon };
+    const centroid = geoCentroid(geometry);
+
+    if (geoContains(geometry, centroid)) {
+        return centroid;
+    }
+
+    const outerRing = polygon[0];
+    let south = Infinity;
+    let north = -Infinity;
+
+    for (let i = 0; i < outerRing.length; i++) {
+        south = Math.min(south, outerRing[i][1]);
+        north = Math.max(north, outerRing[i][1]);
+    }
+
+    let best = centroid;
+    let bestWidth = 0;
+
+    for (let i = 0; i < SCANLINES.length; i++) {
+        const latitude = south + ((north - south) * SCANLINES[i]);
+        const crossings = [];
+
+        // Longitudes where the edges of all rings cross the latitude.
+        for (let j = 0; j < polygon.length; j++) {
+            const ring = polygon[j];
+
+            for (let k = 1; k < ring.length; k++) {
+                const [x0, y0] = ring[k - 1];
+                const [x1, y1] = ring[k];
+
+                if ((y0 <= latitude) !== (y1 <= latitude)) {
+                    crossings.push(x0 + (((latitude - y0) / (y1 - y0)) * (x1 - x0)));
+                }
+            }
+        }
+
+        crossings.sort((a, b) => a - b);
+
+        // Between every pair of crossings we are inside the polygon.
+        for (let j = 1; j < crossings.length; j += 2) {
+            const width = crossings[j] - crossings[j - 1];
+
+            if (width > bestWidth) {
+                bestWidth = width;
+                best = [(crossings[j] + crossings[j - 1]) / 2, latitude];
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find a point to place the label of a feature on, inside its largest polygon.
+ *
+ * @param  {Object}         feature GeoJSON feature.
+ * @return {Array.<Number>} [longitude, latitude]
+ */
+export default function labelPoint(feature) {
+    const geometry = feature.geometry;
+
+    if (geometry === null) {
+        return geoCentroid(feature);
+    }
+
+    if (geometry.type === 'Polygon') {
+        return polygonLabelPoint(geometry.coordinates);
+    }
+
+    if (geometry.type === 'MultiPolygon') {
+        let largest = null;
+        let largestArea = -1;
+
+        for (let i = 0; i < geometry.coordinates.length; i++) {
+            const area = geoArea({ type: 'Polygon', coordinates: geometry.coordinates[i] });
+
+            if (area > largestArea) {
+                largest = geometry.coordinates[i];
+                largestArea = area;
+            }
+        }
+
+        return polygonLabelPoint(largest);
+    }
+
+    return geoCentroid(feature);
+}
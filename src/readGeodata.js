@@ -0,0 +1,46 @@
+import * as topojson from '../node_modules/topojson-client/dist/topojson-client.min';
+
+/**
+ * Read the features of a TopoJSON topology or GeoJSON object.
+ *
+ * The id and name of every feature are read with the accessors and stored as
+ * its id and name properties, on a copy so the geodata itself is not changed.
+ *
+ * @param  {Object}   geodata
+ * @param  {Object}   options
+ * @param  {String}   options.object Name of the object in a topology, null uses the first one.
+ * @param  {Function} options.id     Returns the id of a feature, defaults to its id property.
+ * @param  {Function} options.name   Returns the name of a feature, defaults to its name property.
+ * @return {Object}   { features, borders }, the borders are null for GeoJSON
+ *                    because it has no shared arcs to create them from.
+ */
+export default function readGeodata(geodata, { object = null, id = null, name = null } = {}) {
+    const getId = id || (feature => (feature.properties || {}).id);
+    const getName = name || (feature => (feature.properties || {}).name);
+    let features;
+    let borders = null;
+
+    if (geodata.type === 'Topology') {
+        const topology = geodata.objects[object || Object.keys(geodata.objects)[0]];
+        const collection = topojson.feature(geodata, topology);
+
+        features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+        borders = topojson.mesh(geodata, topology);
+    } else {
+        features = geodata.type === 'FeatureCollection' ? geodata.features : [geodata];
+    }
+
+    features = features.map(feature => {
+        const featureId = getId(feature);
+        const featureName = getName(feature);
+
+        return Object.assign({}, feature, {
+            properties: Object.assign({}, feature.properties, {
+                id: featureId,
+                name: String(featureName !== undefined && featureName !== null ? featureName : featureId)
+            })
+        });
+    });
+
+    return { features, borders };
+}
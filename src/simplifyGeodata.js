@@ -0,0 +1,136 @@
+/**
+ * Drop the points of a line that are closer than the tolerance to the last point we kept.
+ *
+ * The first and last points are always kept, so shared borders still meet.
+ *
+ * @param  {Array.<Array.<Number>>} points
+ * @param  {Number}                 tolerance in degrees.
+ * @return {Array.<Array.<Number>>}
+ */
+function simplifyLine(points, tolerance) {
+    const last = points.length - 1;
+    const closed = points[0][0] === points[last][0] && points[0][1] === points[last][1];
+    const minPoints = closed ? 4 : 3;
+
+    if (points.length <= minPoints) {
+        return points;
+    }
+
+    const squaredTolerance = tolerance * tolerance;
+    const simplified = [points[0]];
+    let previous = points[0];
+
+    for (let i = 1; i < last; i++) {
+        const dx = points[i][0] - previous[0];
+        const dy = points[i][1] - previous[1];
+
+        if ((dx * dx) + (dy * dy) >= squaredTolerance) {
+            simplified.push(points[i]);
+            previous = points[i];
+        }
+    }
+
+    simplified.push(points[last]);
+
+    // Lines smaller than the tolerance, like tiny islands, are kept as they are.
+    return simplified.length >= minPoints ? simplified : points;
+}
+
+/**
+ * @param  {Object} geometry GeoJSON geometry.
+ * @param  {Number} tolerance
+ * @return {Object}
+ */
+function simplifyGeometry(geometry, tolerance) {
+    if (geometry === null) {
+        return geometry;
+    }
+
+    const lines = rings => rings.map(ring => simplifyLine(ring, tolerance));
+
+    switch (geometry.type) {
+    case 'LineString':
+        return Object.assign({}, geometry, { coordinates: simplifyLine(geometry.coordinates, tolerance) });
+
+    case 'MultiLineString':
+    case 'Polygon':
+        return Object.assign({}, geometry, { coordinates: lines(geometry.coordinates) });
+
+    case 'MultiPolygon':
+        return Object.assign({}, geometry, { coordinates: geometry.coordinates.map(lines) });
+
+    case 'GeometryCollection':
+        return Object.assign({}, geometry, {
+            geometries: geometry.geometries.map(child => simplifyGeometry(child, tolerance))
+        });
+
+    default:
+        return geometry;
+    }
+}
+
+/**
+ * Create a lower detail copy of a topology, which is faster to draw.
+ *
+ * The arcs are simplified instead of the features, so borders
+ * that are shared by two countries still line up.
+ *
+ * @param  {Object} topology
+ * @param  {Number} tolerance in degrees.
+ * @return {Object}
+ */
+function simplifyTopology(topology, tolerance) {
+    const transform = topology.transform;
+
+    const arcs = topology.arcs.map(arc => {
+        let points = arc;
+
+        // Quantized arcs are delta encoded, so we decode them to coordinates.
+        if (transform !== undefined) {
+            let x = 0;
+            let y = 0;
+
+            points = arc.map(([dx, dy]) => {
+                x += dx;
+                y += dy;
+
+                return [
+                    (x * transform.scale[0]) + transform.translate[0],
+                    (y * transform.scale[1]) + transform.translate[1]
+                ];
+            });
+        }
+
+        return simplifyLine(points, tolerance);
+    });
+
+    const simplified = Object.assign({}, topology, { arcs });
+    delete simplified.transform;
+
+    return simplified;
+}
+
+/**
+ * Create a lower detail copy of a TopoJSON topology or GeoJSON object.
+ *
+ * @param  {Object} geodata
+ * @param  {Number} tolerance in degrees.
+ * @return {Object}
+ */
+export default function simplifyGeodata(geodata, tolerance) {
+    switch (geodata.type) {
+    case 'Topology':
+        return simplifyTopology(geodata, tolerance);
+
+    case 'FeatureCollection':
+        return Object.assign({}, geodata, {
+            features: geodata.features.map(feature => simplifyGeodata(feature, tolerance))
+        });
+
+    case 'Feature':
+        return Object.assign({}, geodata, { geometry: simplifyGeometry(geodata.geometry, tolerance) });
+
+    default:
+        return simplifyGeometry(geodata, tolerance);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Helpers to write an SVG document as a string.
+ */
+
+/**
+ * @param  {*}      value
+ * @return {String}
+ */
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param  {String}                name
+ * @param  {Object}                attributes Attributes that are null or undefined are left out.
+ * @param  {String|Array.<String>} children   Markup of the child elements.
+ * @return {String}
+ */
+export function svgElement(name, attributes = {}, children = '') {
+    const keys = Object.keys(attributes);
+    let markup = '<' + name;
+
+    for (let i = 0; i < keys.length; i++) {
+        const value = attributes[keys[i]];
+
+        if (value !== null && value !== undefined) {
+            markup += ` ${keys[i]}="${escapeXml(value)}"`;
+        }
+    }
+
+    const content = Array.isArray(children) ? children.join('') : children;
+
+    if (content === '') {
+        return markup + '/>';
+    }
+
+    return `${markup}>${content}</${name}>`;
+}
+
+/**
+ * Create the d attribute of a path through points.
+ *
+ * @param  {Array.<Array.<Number>>} points [[x, y], ...]
+ * @param  {Boolean}                closed
+ * @return {String}
+ */
+export function svgLine(points, closed = false) {
+    let d = '';
+
+    for (let i = 0; i < points.length; i++) {
+        d += (i === 0 ? 'M' : 'L') + points[i][0] + ',' + points[i][1];
+    }
+
+    return closed ? d + 'Z' : d;
+}
@@ -8,6 +8,8 @@ module.exports = {
         path: path.resolve(__dirname, 'dist'),
         libraryExport: 'default',
         libraryTarget: 'umd',
+        // Also works without a window, like in Node.
+        globalObject: 'this',
         umdNamedDefine: true
     },
     module: {
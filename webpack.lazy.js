@@ -0,0 +1,18 @@
+const production = require('./webpack.prod.js');
+const merge = require('webpack-merge');
+const webpack = require('webpack');
+const CopyWebpackPlugin = require('copy-webpack-plugin');
+
+// Same as the production build, except that the atlas is copied next to
+// the library and fetched on init() instead of being part of the bundle.
+const config = {
+    output: {
+        filename: 'GlobeMap.lazy.js'
+    },
+    plugins: [
+        new webpack.NormalModuleReplacementPlugin(/defaultGeodata$/, './defaultGeodata.lazy'),
+        new CopyWebpackPlugin([{ from: './src/world2-topo.json', to: 'world2-topo.json' }])
+    ]
+};
+
+module.exports = merge(production, config);